@@ -1,11 +1,18 @@
 ﻿using System;
+using System.Collections.Generic;
+using System.Runtime.InteropServices;
 using System.Runtime.InteropServices.JavaScript;
+using System.Text.Json;
+using System.Text.Json.Serialization;
 
 namespace AudioVisualizerWasm
 {
     public partial class Program
     {
         private static AudioVisualizer visualizer = new AudioVisualizer();
+        private static SharedFloatBuffer frequencyBuffer = new SharedFloatBuffer(AudioVisualizer.MAX_FREQUENCY_BANDS);
+        private static SharedFloatBuffer waveformBuffer = new SharedFloatBuffer(AudioVisualizer.MAX_WAVEFORM_SAMPLES);
+        private static SharedFloatBuffer particleBuffer = new SharedFloatBuffer(AudioVisualizer.MAX_PARTICLES * AudioVisualizer.PARTICLE_STRIDE);
 
         public static void Main()
         {
@@ -20,15 +27,89 @@ namespace AudioVisualizerWasm
                 visualizer.UpdateFrequencyData(frequencyData);
         }
 
+        [JSExport]
+        public static int GetFrequencyBufferAddress() => frequencyBuffer.Address;
+
+        [JSExport]
+        public static int GetFrequencyBufferLength() => frequencyBuffer.Length;
+
+        [JSExport]
+        public static void CommitAudioData(int length)
+        {
+            visualizer.UpdateFrequencyData(frequencyBuffer.AsSpan(0, Math.Min(length, frequencyBuffer.Length)));
+        }
+
+        [JSExport]
+        public static void UpdateWaveformData(string waveformDataJson)
+        {
+            var waveformData = System.Text.Json.JsonSerializer.Deserialize<float[]>(waveformDataJson);
+            if (waveformData != null)
+                visualizer.UpdateWaveformData(waveformData);
+        }
+
+        [JSExport]
+        public static int GetWaveformBufferAddress() => waveformBuffer.Address;
+
+        [JSExport]
+        public static int GetWaveformBufferLength() => waveformBuffer.Length;
+
+        [JSExport]
+        public static void CommitWaveformData(int length)
+        {
+            visualizer.UpdateWaveformData(waveformBuffer.AsSpan(0, Math.Min(length, waveformBuffer.Length)));
+        }
+
+        [JSExport]
+        public static int SetBandLayout(double[] centerFrequencies)
+        {
+            return visualizer.SetBandLayout(centerFrequencies);
+        }
+
+        [JSExport]
+        public static void SetBandCrossovers(double lowMidHz, double midHighHz)
+        {
+            visualizer.SetBandCrossovers((float)lowMidHz, (float)midHighHz);
+        }
+
+        [JSExport]
+        public static int GetBandCount() => visualizer.GetBandCount();
+
         [JSExport]
         public static void UpdateParticles(double deltaTime, double mouseX, double mouseY, bool mousePressed)
         {
             visualizer.UpdateParticles(deltaTime, mouseX, mouseY, mousePressed);
         }
 
+        [JSExport]
+        public static void SetViewport(double width, double height)
+        {
+            visualizer.SetViewport((float)width, (float)height);
+        }
+
+        [JSExport]
+        public static void SetTouchPoints(double[] touchPoints)
+        {
+            visualizer.SetTouchPoints(touchPoints);
+        }
+
+        [JSExport]
+        public static void TriggerBurst(double x, double y)
+        {
+            visualizer.TriggerBurst((float)x, (float)y);
+        }
+
         [JSExport]
         public static int GetParticleCount() => visualizer.GetParticleCount();
 
+        [JSExport]
+        public static int GetActiveParticleCount() => visualizer.GetActiveParticleCount();
+
+        [JSExport]
+        public static int GetMaxParticleCount() => AudioVisualizer.MAX_PARTICLES;
+
+        [JSExport]
+        public static int SetParticleCount(int count) => visualizer.SetParticleCount(count);
+
         [JSExport]
         public static string GetParticleData()
         {
@@ -36,10 +117,31 @@ namespace AudioVisualizerWasm
         }
 
         [JSExport]
-        public static void SetVisualizationMode(int mode)
-        {
-            visualizer.SetVisualizationMode(mode);
-        }
+        public static int GetParticleBufferAddress() => particleBuffer.Address;
+
+        [JSExport]
+        public static int WriteParticleData() => visualizer.WriteParticleData(particleBuffer.AsSpan());
+
+        [JSExport]
+        public static bool SetVisualizationMode(int mode) => visualizer.SetVisualizationMode(mode);
+
+        [JSExport]
+        public static int GetVisualizationMode() => visualizer.GetVisualizationMode();
+
+        [JSExport]
+        public static int GetVisualizationModeCount() => visualizer.GetModeCount();
+
+        [JSExport]
+        public static string GetModes() => visualizer.DescribeModes();
+
+        [JSExport]
+        public static bool SetModeParameter(int mode, string key, double value) => visualizer.SetModeParameter(mode, key, (float)value);
+
+        [JSExport]
+        public static int LoadModeDefinition(string definitionJson) => visualizer.LoadModeDefinition(definitionJson);
+
+        [JSExport]
+        public static string GetModeDefinitionError() => visualizer.GetModeDefinitionError();
 
         [JSExport]
         public static void SetSensitivity(double sensitivity)
@@ -47,12 +149,76 @@ namespace AudioVisualizerWasm
             visualizer.SetSensitivity((float)sensitivity);
         }
 
+        [JSExport]
+        public static void SetBandGains(double low, double mid, double high)
+        {
+            visualizer.SetBandGains((float)low, (float)mid, (float)high);
+        }
+
+        [JSExport]
+        public static void SetEnvelopeTimes(double attackSeconds, double releaseSeconds)
+        {
+            visualizer.SetEnvelopeTimes((float)attackSeconds, (float)releaseSeconds);
+        }
+
+        [JSExport]
+        public static void SetNormalization(double amount, double adaptationSeconds)
+        {
+            visualizer.SetNormalization((float)amount, (float)adaptationSeconds);
+        }
+
+        [JSExport]
+        public static void SetSeed(int seed)
+        {
+            visualizer.SetSeed(seed);
+        }
+
+        [JSExport]
+        public static void SetFixedTimestep(double timestep)
+        {
+            visualizer.SetFixedTimestep(timestep);
+        }
+
+        [JSExport]
+        public static void ResetSimulation()
+        {
+            visualizer.ResetSimulation();
+        }
+
+        [JSExport]
+        public static string SaveState() => visualizer.SaveState();
+
+        [JSExport]
+        public static bool LoadState(string stateJson) => visualizer.LoadState(stateJson);
+
+        [JSExport]
+        public static bool IsBeat() => visualizer.IsBeat();
+
+        [JSExport]
+        public static double GetBpm() => visualizer.GetBpm();
+
+        [JSExport]
+        public static double GetBeatPhase() => visualizer.GetBeatPhase();
+
+        // Runs a fresh beat detector over a synthetic click track and returns
+        // the outcome as JSON; the live detector is left alone
+        [JSExport]
+        public static string RunClickTrack(double bpm, int beats)
+        {
+            if (!(bpm >= 60 && bpm <= 180) || beats < 2)
+                throw new ArgumentOutOfRangeException(nameof(bpm), "Click tracks need 60 to 180 BPM and at least 2 beats");
+            return JsonSerializer.Serialize(ClickTrack.Run(bpm, beats));
+        }
+
         [JSExport]
         public static double GetTotalEnergy() => visualizer.GetTotalEnergy();
 
         [JSExport]
         public static double GetSpectralCentroid() => visualizer.GetSpectralCentroid();
 
+        [JSExport]
+        public static double GetSpectralCentroidHz() => visualizer.GetSpectralCentroidHz();
+
         [JSExport]
         public static double GetLowFreqEnergy() => visualizer.GetLowFreqEnergy();
 
@@ -61,79 +227,286 @@ namespace AudioVisualizerWasm
 
         [JSExport]
         public static double GetHighFreqEnergy() => visualizer.GetHighFreqEnergy();
+
+        // Laid out as FeatureExtractor's indices: RMS, loudness, flatness,
+        // rolloff (Hz), spread (Hz), flux, zero-crossing rate, then 12 chroma bins
+        [JSExport]
+        public static double[] GetFeatures() => visualizer.GetFeatures();
     }
 
     public class AudioVisualizer
     {
-        private const int MAX_PARTICLES = 200; // Reduced for better performance
-        private const int FREQUENCY_BANDS = 128;
+        public const int MAX_PARTICLES = 20000;
+        public const int DEFAULT_PARTICLE_COUNT = 200;
+        public const int MAX_FREQUENCY_BANDS = 4096;
+        public const int DEFAULT_FREQUENCY_BANDS = 128;
+        public const float DEFAULT_SAMPLE_RATE = 44100.0f;
+        public const float DEFAULT_LOW_MID_CROSSOVER_HZ = 250.0f;
+        public const float DEFAULT_MID_HIGH_CROSSOVER_HZ = 4000.0f;
+        public const int PARTICLE_STRIDE = 6;
+        public const float BEAT_IMPULSE = 120.0f;
+        public const int MAX_WAVEFORM_SAMPLES = 2048;
+        public const int MAX_POINTERS = 10;
+        public const int MAX_MODES = 32;
+
+        private const float POINTER_RADIUS = 150.0f;
+        private const float POINTER_ATTRACT_FORCE = 120.0f;
+        private const float POINTER_REPEL_FORCE = 400.0f;
+        private const float BURST_RADIUS = 200.0f;
+        private const float BURST_IMPULSE = 250.0f;
+        private const float BASE_EMISSION_RATE = 0.1f;
+        private const float ENERGY_EMISSION_RATE = 0.6f;
+        private const int MAX_FIXED_STEPS = 8;
+        private const int STATE_VERSION = 1;
+
+        private static readonly JsonSerializerOptions StateJsonOptions = new JsonSerializerOptions
+        {
+            NumberHandling = JsonNumberHandling.AllowNamedFloatingPointLiterals,
+        };
 
         private Particle[] _particles;
+        private int _particleCount = DEFAULT_PARTICLE_COUNT;
+        private int _activeParticles = 0;
+        private int _emitCursor = 0;
+        private double _emissionAccumulator = 0;
         private float[] _frequencyData;
-        private Random _random;
+        private float[] _spectrum;
+        private float[] _bandFrequencies;
+        private float[] _bandWidths;
+        private float[] _waveform = new float[MAX_WAVEFORM_SAMPLES];
+        private int _waveformLength = 0;
+        private int _bandCount = DEFAULT_FREQUENCY_BANDS;
+        private float _lowMidCrossoverHz = DEFAULT_LOW_MID_CROSSOVER_HZ;
+        private float _midHighCrossoverHz = DEFAULT_MID_HIGH_CROSSOVER_HZ;
+        private int _lowBandEnd;
+        private int _midBandEnd;
+        private SeededRandom _random;
+        private uint _seed;
+        private BeatDetector _beatDetector = new BeatDetector();
+        private FeatureExtractor _features = new FeatureExtractor();
+        private SpectralFlux _flux = new SpectralFlux();
+        private readonly BandConditioner _conditioner = new BandConditioner(MAX_FREQUENCY_BANDS);
+        private bool _isBeat = false;
+        private bool _beatImpulse = false;
+        private double _fixedTimestep = 0;
+        private double _timestepAccumulator = 0;
 
+        private readonly ModeRegistry _modes = ModeRegistry.CreateDefault();
+        private readonly ModeContext _modeContext = new ModeContext();
         private int _visualizationMode = 0;
+        private string _modeDefinitionError;
         private float _sensitivity = 1.0f;
+        private float _lowGain = 1.0f;
+        private float _midGain = 1.0f;
+        private float _highGain = 1.0f;
         private double _time = 0;
+        private float _viewportWidth = 800;
+        private float _viewportHeight = 600;
+
+        private PointerInput[] _pointers = new PointerInput[MAX_POINTERS];
+        private int _pointerCount = 0;
+        private PointerInput[] _touchPoints = new PointerInput[MAX_POINTERS - 1];
+        private int _touchPointCount = 0;
+        private PointerInput[] _pendingBursts = new PointerInput[MAX_POINTERS];
+        private int _pendingBurstCount = 0;
 
         public AudioVisualizer()
         {
             _particles = new Particle[MAX_PARTICLES];
-            _frequencyData = new float[FREQUENCY_BANDS];
-            _random = new Random();
+            _frequencyData = new float[MAX_FREQUENCY_BANDS];
+            _spectrum = new float[MAX_FREQUENCY_BANDS];
+            _bandFrequencies = new float[MAX_FREQUENCY_BANDS];
+            _bandWidths = new float[MAX_FREQUENCY_BANDS];
+            _seed = (uint)Random.Shared.Next();
+            _random = new SeededRandom(_seed);
+
+            float binWidth = DEFAULT_SAMPLE_RATE / (DEFAULT_FREQUENCY_BANDS * 2);
+            for (int i = 0; i < DEFAULT_FREQUENCY_BANDS; i++)
+            {
+                _bandFrequencies[i] = (i + 0.5f) * binWidth;
+            }
+            UpdateBandBoundaries();
 
             for (int i = 0; i < MAX_PARTICLES; i++)
             {
                 _particles[i] = new Particle();
-                ResetParticle(i);
             }
         }
 
-        public void UpdateFrequencyData(float[] frequencyData)
+        public void UpdateFrequencyData(ReadOnlySpan<float> frequencyData)
+        {
+            int dataLength = Math.Min(frequencyData.Length, _bandCount);
+            frequencyData.Slice(0, dataLength).CopyTo(_frequencyData);
+            // A short frame leaves the remaining bands silent rather than stale
+            Array.Clear(_frequencyData, dataLength, _bandCount - dataLength);
+        }
+
+        public void UpdateWaveformData(ReadOnlySpan<float> waveformData)
+        {
+            _waveformLength = Math.Min(waveformData.Length, MAX_WAVEFORM_SAMPLES);
+            waveformData.Slice(0, _waveformLength).CopyTo(_waveform);
+        }
+
+        public int SetBandLayout(ReadOnlySpan<double> centerFrequencies)
+        {
+            _bandCount = Math.Max(1, Math.Min(MAX_FREQUENCY_BANDS, centerFrequencies.Length));
+
+            for (int i = 0; i < _bandCount; i++)
+            {
+                _bandFrequencies[i] = i < centerFrequencies.Length ? (float)centerFrequencies[i] : 0;
+            }
+            Array.Clear(_frequencyData);
+            Array.Clear(_spectrum);
+            _conditioner.Reset();
+
+            UpdateBandBoundaries();
+            return _bandCount;
+        }
+
+        public void SetBandCrossovers(float lowMidHz, float midHighHz)
         {
-            int dataLength = Math.Min(frequencyData.Length, FREQUENCY_BANDS);
-            Array.Copy(frequencyData, _frequencyData, dataLength);
+            _lowMidCrossoverHz = Math.Max(0.0f, lowMidHz);
+            _midHighCrossoverHz = Math.Max(_lowMidCrossoverHz, midHighHz);
+            UpdateBandBoundaries();
         }
 
+        private void UpdateBandBoundaries()
+        {
+            BandLayout.FillWidths(_bandFrequencies.AsSpan(0, _bandCount), _bandWidths);
+            _lowBandEnd = FindFirstBandAbove(_lowMidCrossoverHz);
+            _midBandEnd = FindFirstBandAbove(_midHighCrossoverHz);
+        }
+
+        private int FindFirstBandAbove(float frequencyHz)
+        {
+            for (int i = 0; i < _bandCount; i++)
+            {
+                if (_bandFrequencies[i] >= frequencyHz)
+                    return i;
+            }
+            return _bandCount;
+        }
+
+        // Beat detection and the feature extractor read the raw spectrum, since
+        // the envelope would soften the onsets they look for. Forces read the
+        // conditioned one. The flux is worked out once per frame: the detector
+        // takes it over the low bands and the extractor over all of them.
         public void UpdateParticles(double deltaTime, double mouseX, double mouseY, bool mousePressed)
+        {
+            _conditioner.Process(_frequencyData.AsSpan(0, _bandCount), _spectrum.AsSpan(0, _bandCount), deltaTime);
+            _flux.Process(_frequencyData.AsSpan(0, _bandCount));
+            _isBeat = _beatDetector.Process(_flux, Math.Max(1, _lowBandEnd), deltaTime);
+            _beatImpulse = _isBeat;
+            _features.Process(
+                _frequencyData.AsSpan(0, _bandCount),
+                _bandFrequencies.AsSpan(0, _bandCount),
+                _bandWidths.AsSpan(0, _bandCount),
+                _waveform.AsSpan(0, _waveformLength),
+                _flux.Mean(0, _bandCount),
+                deltaTime);
+
+            CollectPointers(mouseX, mouseY, mousePressed);
+            ApplyPendingBursts();
+
+            if (_fixedTimestep <= 0)
+            {
+                StepSimulation(deltaTime);
+                return;
+            }
+
+            _timestepAccumulator += deltaTime;
+
+            int steps = 0;
+            while (_timestepAccumulator >= _fixedTimestep && steps < MAX_FIXED_STEPS)
+            {
+                StepSimulation(_fixedTimestep);
+                _timestepAccumulator -= _fixedTimestep;
+                _beatImpulse = false;
+                steps++;
+            }
+
+            if (steps == MAX_FIXED_STEPS)
+                _timestepAccumulator = 0;
+        }
+
+        private void StepSimulation(double deltaTime)
         {
             _time += deltaTime;
 
-            float totalEnergy = CalculateEnergyBand(0, FREQUENCY_BANDS);
-            float lowFreqEnergy = CalculateEnergyBand(0, 32);
-            float midFreqEnergy = CalculateEnergyBand(32, 96);
-            float highFreqEnergy = CalculateEnergyBand(96, FREQUENCY_BANDS);
+            float lowFreqEnergy = CalculateEnergyBand(0, _lowBandEnd) * _lowGain;
+            float midFreqEnergy = CalculateEnergyBand(_lowBandEnd, _midBandEnd) * _midGain;
+            float highFreqEnergy = CalculateEnergyBand(_midBandEnd, _bandCount) * _highGain;
+            float totalEnergy = (lowFreqEnergy * _lowBandEnd
+                + midFreqEnergy * (_midBandEnd - _lowBandEnd)
+                + highFreqEnergy * (_bandCount - _midBandEnd)) / _bandCount;
 
             float spectralCentroid = CalculateSpectralCentroid();
 
-            for (int i = 0; i < MAX_PARTICLES; i++)
+            _modeContext.DeltaTime = deltaTime;
+            _modeContext.Time = _time;
+            _modeContext.TotalEnergy = totalEnergy;
+            _modeContext.LowEnergy = lowFreqEnergy;
+            _modeContext.MidEnergy = midFreqEnergy;
+            _modeContext.HighEnergy = highFreqEnergy;
+            _modeContext.SpectralCentroid = spectralCentroid;
+            _modeContext.Sensitivity = _sensitivity;
+            _modeContext.ViewportWidth = _viewportWidth;
+            _modeContext.ViewportHeight = _viewportHeight;
+            _modeContext.BeatImpulse = _beatImpulse;
+            _modeContext.Random = _random;
+            _modeContext.Features = _features;
+            _modeContext.SetWaveform(_waveform, _waveformLength);
+
+            IVisualizationMode mode = _modes[_visualizationMode];
+            float[] parameters = _modes.GetParameters(_visualizationMode);
+
+            EmitParticles(deltaTime, totalEnergy, mode, parameters);
+
+            _activeParticles = 0;
+            for (int i = 0; i < _particleCount; i++)
+            {
+                UpdateParticle(i, mode, parameters);
+            }
+        }
+
+        private void EmitParticles(double deltaTime, float totalEnergy, IVisualizationMode mode, float[] parameters)
+        {
+            float emissionRate = _particleCount * (BASE_EMISSION_RATE + totalEnergy * _sensitivity * ENERGY_EMISSION_RATE);
+            _emissionAccumulator += emissionRate * deltaTime;
+
+            int toEmit = (int)_emissionAccumulator;
+            _emissionAccumulator -= toEmit;
+
+            for (int scanned = 0; toEmit > 0 && scanned < _particleCount; scanned++)
             {
-                UpdateParticle(i, deltaTime, totalEnergy, lowFreqEnergy, midFreqEnergy, highFreqEnergy, spectralCentroid, mouseX, mouseY, mousePressed);
+                _emitCursor = (_emitCursor + 1) % _particleCount;
+                if (_particles[_emitCursor].Life <= 0)
+                {
+                    ResetParticle(_emitCursor, mode, parameters);
+                    toEmit--;
+                }
             }
+
+            // Whatever could not find a free slot is dropped rather than saved up for later
+            if (toEmit > 0)
+                _emissionAccumulator = 0;
         }
 
-        private void UpdateParticle(int index, double deltaTime, float totalEnergy, float lowFreqEnergy, float midFreqEnergy, float highFreqEnergy, float spectralCentroid,
-            double mouseX, double mouseY, bool mousePressed)
+        private void UpdateParticle(int index, IVisualizationMode mode, float[] parameters)
         {
             ref Particle particle = ref _particles[index];
 
             if (particle.Life <= 0)
-            {
-                ResetParticle(index);
                 return;
-            }
 
-            switch (_visualizationMode)
+            _activeParticles++;
+
+            double deltaTime = _modeContext.DeltaTime;
+            mode.Update(ref particle, _modeContext, parameters);
+
+            for (int i = 0; i < _pointerCount; i++)
             {
-                case 0: 
-                    UpdateEnhancedRadialMode(ref particle, deltaTime, totalEnergy, lowFreqEnergy, midFreqEnergy, highFreqEnergy, spectralCentroid);
-                    break;
-                case 1: 
-                    UpdateDynamicOrbitalMode(ref particle, deltaTime, totalEnergy, lowFreqEnergy, midFreqEnergy, highFreqEnergy, spectralCentroid);
-                    break;
-                case 2: 
-                    UpdateSpectralWaveMode(ref particle, deltaTime, totalEnergy, lowFreqEnergy, midFreqEnergy, highFreqEnergy, spectralCentroid);
-                    break;
+                ApplyPointerForce(ref particle, deltaTime, _pointers[i]);
             }
 
 
@@ -143,99 +516,96 @@ namespace AudioVisualizerWasm
             particle.VelocityY *= 0.98f;
             particle.Life -= (float)deltaTime;
 
-            particle.ColorHue = (particle.ColorHue + totalEnergy * 2.0f + spectralCentroid * 1.5f) % 360.0f;
+            particle.ColorHue = (particle.ColorHue + _modeContext.TotalEnergy * 2.0f + _modeContext.SpectralCentroid * 1.5f) % 360.0f;
         }
 
-        private void UpdateEnhancedRadialMode(ref Particle particle, double deltaTime, float totalEnergy, float lowFreqEnergy, float midFreqEnergy, float highFreqEnergy, float spectralCentroid)
+        private void ApplyPointerForce(ref Particle particle, double deltaTime, PointerInput pointer)
         {
-            float centerX = 400;
-            float centerY = 300;
-            float dx = particle.X - centerX;
-            float dy = particle.Y - centerY;
+            float dx = particle.X - pointer.X;
+            float dy = particle.Y - pointer.Y;
             float distance = (float)Math.Sqrt(dx * dx + dy * dy);
 
-            if (distance > 0)
-            {
-                float baseForce = totalEnergy * _sensitivity * 80.0f;
-                float lowForce = lowFreqEnergy * _sensitivity * 60.0f;
-                float spiralForce = midFreqEnergy * _sensitivity * 40.0f;
-
-                particle.VelocityX += (dx / distance) * baseForce * (float)deltaTime;
-                particle.VelocityY += (dy / distance) * baseForce * (float)deltaTime;
+            if (distance <= 0 || distance > POINTER_RADIUS)
+                return;
 
-                float spiralAngle = (float)Math.Atan2(dy, dx) + spectralCentroid * 2.0f;
-                particle.VelocityX += (float)Math.Cos(spiralAngle) * spiralForce * (float)deltaTime;
-                particle.VelocityY += (float)Math.Sin(spiralAngle) * spiralForce * (float)deltaTime;
+            float falloff = 1.0f - distance / POINTER_RADIUS;
+            float force = pointer.Pressed
+                ? POINTER_REPEL_FORCE * falloff
+                : -POINTER_ATTRACT_FORCE * falloff;
 
-                float jitter = highFreqEnergy * _sensitivity * 20.0f;
-                particle.VelocityX += ((float)_random.NextDouble() - 0.5f) * jitter * (float)deltaTime;
-                particle.VelocityY += ((float)_random.NextDouble() - 0.5f) * jitter * (float)deltaTime;
-            }
+            particle.VelocityX += (dx / distance) * force * (float)deltaTime;
+            particle.VelocityY += (dy / distance) * force * (float)deltaTime;
         }
 
-        private void UpdateDynamicOrbitalMode(ref Particle particle, double deltaTime, float totalEnergy, float lowFreqEnergy, float midFreqEnergy, float highFreqEnergy, float spectralCentroid)
+        private void CollectPointers(double mouseX, double mouseY, bool mousePressed)
         {
-            float centerX = 400;
-            float centerY = 300;
-            float dx = particle.X - centerX;
-            float dy = particle.Y - centerY;
-            float distance = (float)Math.Sqrt(dx * dx + dy * dy);
+            _pointerCount = 0;
 
-            if (distance > 0)
+            // JS passes negative coordinates while no pointer is over the canvas
+            if (mouseX >= 0 && mouseY >= 0)
             {
-                float orbitalSpeed = (midFreqEnergy + spectralCentroid) * _sensitivity * 40.0f;
-
-                particle.VelocityX += -dy * orbitalSpeed * (float)deltaTime * 0.01f;
-                particle.VelocityY += dx * orbitalSpeed * (float)deltaTime * 0.01f;
-
-                float radialPulse = (lowFreqEnergy - 0.3f) * _sensitivity * 30.0f;
-                particle.VelocityX += (dx / distance) * radialPulse * (float)deltaTime;
-                particle.VelocityY += (dy / distance) * radialPulse * (float)deltaTime;
+                _pointers[_pointerCount++] = new PointerInput((float)mouseX, (float)mouseY, mousePressed);
+            }
 
-                float orbitVariation = highFreqEnergy * _sensitivity * 15.0f;
-                float variationAngle = (float)(_time * 3.0f + particle.Life * 2.0f);
-                particle.VelocityX += (float)Math.Cos(variationAngle) * orbitVariation * (float)deltaTime;
-                particle.VelocityY += (float)Math.Sin(variationAngle) * orbitVariation * (float)deltaTime;
+            for (int i = 0; i < _touchPointCount && _pointerCount < MAX_POINTERS; i++)
+            {
+                _pointers[_pointerCount++] = _touchPoints[i];
             }
         }
 
-        private void UpdateSpectralWaveMode(ref Particle particle, double deltaTime, float totalEnergy, float lowFreqEnergy, float midFreqEnergy, float highFreqEnergy, float spectralCentroid)
+        private void ApplyPendingBursts()
         {
-            float lowWaveAmplitude = lowFreqEnergy * _sensitivity * 80.0f;
-            float midWaveAmplitude = midFreqEnergy * _sensitivity * 60.0f;
-            float highWaveAmplitude = highFreqEnergy * _sensitivity * 40.0f;
+            for (int b = 0; b < _pendingBurstCount; b++)
+            {
+                PointerInput burst = _pendingBursts[b];
 
-            float lowWaveFreq = 0.01f + spectralCentroid * 0.02f;
-            float midWaveFreq = 0.02f + spectralCentroid * 0.03f;
-            float highWaveFreq = 0.03f + spectralCentroid * 0.04f;
+                for (int i = 0; i < _particleCount; i++)
+                {
+                    ref Particle particle = ref _particles[i];
+                    float dx = particle.X - burst.X;
+                    float dy = particle.Y - burst.Y;
+                    float distance = (float)Math.Sqrt(dx * dx + dy * dy);
 
-            float waveForceX = (float)(
-                Math.Sin(_time * lowWaveFreq + particle.Y * 0.005f) * lowWaveAmplitude +
-                Math.Sin(_time * midWaveFreq + particle.Y * 0.01f) * midWaveAmplitude +
-                Math.Sin(_time * highWaveFreq + particle.Y * 0.02f) * highWaveAmplitude
-            );
+                    if (distance <= 0 || distance > BURST_RADIUS)
+                        continue;
 
-            float waveForceY = (float)(
-                Math.Cos(_time * lowWaveFreq + particle.X * 0.005f) * lowWaveAmplitude +
-                Math.Cos(_time * midWaveFreq + particle.X * 0.01f) * midWaveAmplitude +
-                Math.Cos(_time * highWaveFreq + particle.X * 0.02f) * highWaveAmplitude
-            );
+                    float impulse = BURST_IMPULSE * (1.0f - distance / BURST_RADIUS);
+                    particle.VelocityX += (dx / distance) * impulse;
+                    particle.VelocityY += (dy / distance) * impulse;
+                }
+            }
+
+            _pendingBurstCount = 0;
+        }
 
-            particle.VelocityX += waveForceX * (float)deltaTime;
-            particle.VelocityY += waveForceY * (float)deltaTime;
+        public void SetViewport(float width, float height)
+        {
+            _viewportWidth = Math.Max(1.0f, width);
+            _viewportHeight = Math.Max(1.0f, height);
+        }
+
+        public void SetTouchPoints(ReadOnlySpan<double> touchPoints)
+        {
+            _touchPointCount = Math.Min(touchPoints.Length / 2, _touchPoints.Length);
+            for (int i = 0; i < _touchPointCount; i++)
+            {
+                _touchPoints[i] = new PointerInput((float)touchPoints[i * 2], (float)touchPoints[i * 2 + 1], true);
+            }
+        }
 
-            float spiralForce = totalEnergy * _sensitivity * 30.0f;
-            float spiralAngle = (float)_time * 2.0f + particle.Life;
-            particle.VelocityX += (float)Math.Cos(spiralAngle) * spiralForce * (float)deltaTime;
-            particle.VelocityY += (float)Math.Sin(spiralAngle) * spiralForce * (float)deltaTime;
+        public void TriggerBurst(float x, float y)
+        {
+            if (_pendingBurstCount < _pendingBursts.Length)
+            {
+                _pendingBursts[_pendingBurstCount++] = new PointerInput(x, y, true);
+            }
         }
 
-        private void ResetParticle(int index)
+        private void ResetParticle(int index, IVisualizationMode mode, float[] parameters)
         {
             ref Particle particle = ref _particles[index];
 
-            particle.X = 400 + (_random.NextSingle() - 0.5f) * 50;
-            particle.Y = 300 + (_random.NextSingle() - 0.5f) * 50;
+            mode.Spawn(ref particle, _modeContext, parameters);
 
             float angle = _random.NextSingle() * 2 * (float)Math.PI;
             float speed = _random.NextSingle() * 20 + 10;
@@ -248,53 +618,1729 @@ namespace AudioVisualizerWasm
 
         private float CalculateEnergyBand(int startBand, int endBand)
         {
+            if (endBand <= startBand)
+                return 0;
+
             float energy = 0;
-            for (int i = startBand; i < endBand && i < FREQUENCY_BANDS; i++)
+            for (int i = startBand; i < endBand && i < _bandCount; i++)
             {
-                energy += _frequencyData[i];
+                energy += _spectrum[i];
             }
             return energy / (endBand - startBand);
         }
 
-        private float CalculateSpectralCentroid()
+        // Bands are weighted by their width, so the centroid comes out the same
+        // for linear, log and mel layouts of the same sound. 0 when silent.
+        private float CalculateSpectralCentroidHz()
         {
-            float weightedSum = 0;
-            float totalEnergy = 0;
+            double weightedSum = 0;
+            double totalEnergy = 0;
 
-            for (int i = 0; i < FREQUENCY_BANDS; i++)
+            for (int i = 0; i < _bandCount; i++)
             {
-                weightedSum += i * _frequencyData[i];
-                totalEnergy += _frequencyData[i];
+                double energy = _spectrum[i] * _bandWidths[i];
+                weightedSum += energy * _bandFrequencies[i];
+                totalEnergy += energy;
             }
 
-            return totalEnergy > 0 ? (weightedSum / totalEnergy) / FREQUENCY_BANDS : 0.5f;
+            return totalEnergy > 0 ? (float)(weightedSum / totalEnergy) : 0;
         }
 
-        public int GetParticleCount() => MAX_PARTICLES;
+        // The centroid as modes see it: 0 to 1 on a log axis from 20 Hz to
+        // 20 kHz, and the middle of that axis when silent
+        private float CalculateSpectralCentroid()
+        {
+            float centroidHz = CalculateSpectralCentroidHz();
+            return centroidHz > 0 ? BandLayout.ToLogPosition(centroidHz) : 0.5f;
+        }
 
-        public string GetParticleDataJson()
+        public int GetParticleCount() => _particleCount;
+        public int GetActiveParticleCount() => _activeParticles;
+
+        public int SetParticleCount(int count)
         {
-            var particleData = new float[MAX_PARTICLES * 6];
-            for (int i = 0; i < MAX_PARTICLES; i++)
+            int clamped = Math.Max(1, Math.Min(MAX_PARTICLES, count));
+
+            for (int i = clamped; i < _particleCount; i++)
             {
-                int dataIndex = i * 6;
-                particleData[dataIndex] = _particles[i].X;
-                particleData[dataIndex + 1] = _particles[i].Y;
-                particleData[dataIndex + 2] = _particles[i].VelocityX;
-                particleData[dataIndex + 3] = _particles[i].VelocityY;
-                particleData[dataIndex + 4] = _particles[i].Life;
-                particleData[dataIndex + 5] = _particles[i].ColorHue;
+                _particles[i].Life = 0;
             }
+
+            _particleCount = clamped;
+            _emitCursor %= _particleCount;
+            return _particleCount;
+        }
+
+        public string GetParticleDataJson()
+        {
+            var particleData = new float[_particleCount * PARTICLE_STRIDE];
+            WriteParticleData(particleData);
             return System.Text.Json.JsonSerializer.Serialize(particleData);
         }
 
-        public void SetVisualizationMode(int mode) => _visualizationMode = mode;
+        public int WriteParticleData(Span<float> destination)
+        {
+            int count = Math.Min(_particleCount, destination.Length / PARTICLE_STRIDE);
+            for (int i = 0; i < count; i++)
+            {
+                int dataIndex = i * PARTICLE_STRIDE;
+                destination[dataIndex] = _particles[i].X;
+                destination[dataIndex + 1] = _particles[i].Y;
+                destination[dataIndex + 2] = _particles[i].VelocityX;
+                destination[dataIndex + 3] = _particles[i].VelocityY;
+                destination[dataIndex + 4] = _particles[i].Life;
+                destination[dataIndex + 5] = _particles[i].ColorHue;
+            }
+            return count;
+        }
+
+        public bool SetVisualizationMode(int mode)
+        {
+            if (mode < 0 || mode >= _modes.Count)
+                return false;
+
+            _visualizationMode = mode;
+            return true;
+        }
+
+        public int GetVisualizationMode() => _visualizationMode;
+        public int GetModeCount() => _modes.Count;
+        public string DescribeModes() => _modes.Describe();
+        public bool SetModeParameter(int mode, string key, float value) => _modes.SetParameter(mode, key, value);
+        public string GetModeDefinitionError() => _modeDefinitionError ?? "";
+
+        // Returns the mode number, or -1 with the reason in GetModeDefinitionError.
+        // Loading a definition with the name of an earlier one replaces it in place.
+        public int LoadModeDefinition(string definitionJson)
+        {
+            ForceFieldMode mode;
+            try
+            {
+                mode = ForceFieldMode.Parse(definitionJson);
+            }
+            catch (FormatException error)
+            {
+                _modeDefinitionError = error.Message;
+                return -1;
+            }
+
+            int existing = _modes.IndexOf(mode.Name);
+            if (existing >= 0 && !(_modes[existing] is ForceFieldMode))
+            {
+                _modeDefinitionError = $"\"{mode.Name}\" is a built-in mode";
+                return -1;
+            }
+            if (existing < 0 && _modes.Count >= MAX_MODES)
+            {
+                _modeDefinitionError = $"No more than {MAX_MODES} modes can be loaded";
+                return -1;
+            }
+
+            _modeDefinitionError = null;
+            if (existing < 0)
+                return _modes.Register(mode);
+
+            _modes.Replace(existing, mode);
+            return existing;
+        }
         public void SetSensitivity(float sensitivity) => _sensitivity = Math.Max(0.1f, Math.Min(3.0f, sensitivity));
-        public float GetTotalEnergy() => CalculateEnergyBand(0, FREQUENCY_BANDS);
-        public float GetSpectralCentroid() => CalculateSpectralCentroid();
-        public float GetLowFreqEnergy() => CalculateEnergyBand(0, 32);
-        public float GetMidFreqEnergy() => CalculateEnergyBand(32, 96);
-        public float GetHighFreqEnergy() => CalculateEnergyBand(96, FREQUENCY_BANDS);
+
+        public void SetBandGains(float low, float mid, float high)
+        {
+            _lowGain = ClampGain(low);
+            _midGain = ClampGain(mid);
+            _highGain = ClampGain(high);
+        }
+
+        private static float ClampGain(float gain) => Math.Max(0.0f, Math.Min(3.0f, gain));
+
+        public void SetEnvelopeTimes(float attackTime, float releaseTime) => _conditioner.SetEnvelopeTimes(attackTime, releaseTime);
+
+        public void SetNormalization(float amount, float adaptationTime) => _conditioner.SetNormalization(amount, adaptationTime);
+
+        public void SetSeed(int seed)
+        {
+            _seed = (uint)seed;
+            _random.State = _seed;
+        }
+
+        public void SetFixedTimestep(double timestep)
+        {
+            _fixedTimestep = Math.Max(0, timestep);
+            _timestepAccumulator = 0;
+        }
+
+        public void ResetSimulation()
+        {
+            for (int i = 0; i < MAX_PARTICLES; i++)
+            {
+                _particles[i] = new Particle();
+            }
+
+            _random.State = _seed;
+            _beatDetector = new BeatDetector();
+            _features = new FeatureExtractor();
+            _flux = new SpectralFlux();
+            _conditioner.Reset();
+            Array.Clear(_spectrum);
+            _time = 0;
+            _timestepAccumulator = 0;
+            _emissionAccumulator = 0;
+            _emitCursor = 0;
+            _activeParticles = 0;
+            _isBeat = false;
+            _pendingBurstCount = 0;
+        }
+
+        public string SaveState()
+        {
+            var particles = new float[_particleCount * PARTICLE_STRIDE];
+            WriteParticleData(particles);
+
+            var state = new SimulationState
+            {
+                Version = STATE_VERSION,
+                Time = _time,
+                Seed = _seed,
+                RandomState = _random.State,
+                VisualizationMode = _visualizationMode,
+                Sensitivity = _sensitivity,
+                LowGain = _lowGain,
+                MidGain = _midGain,
+                HighGain = _highGain,
+                ViewportWidth = _viewportWidth,
+                ViewportHeight = _viewportHeight,
+                LowMidCrossoverHz = _lowMidCrossoverHz,
+                MidHighCrossoverHz = _midHighCrossoverHz,
+                BandFrequencies = _bandFrequencies.AsSpan(0, _bandCount).ToArray(),
+                FixedTimestep = _fixedTimestep,
+                TimestepAccumulator = _timestepAccumulator,
+                EmissionAccumulator = _emissionAccumulator,
+                EmitCursor = _emitCursor,
+                ParticleCount = _particleCount,
+                Particles = particles,
+                BeatDetector = _beatDetector.SaveState(),
+                Features = _features.SaveState(),
+                FluxSpectrum = _flux.SaveState(),
+                BandConditioner = _conditioner.SaveState(_bandCount),
+                ModeParameters = _modes.SaveParameters(),
+            };
+
+            return JsonSerializer.Serialize(state, StateJsonOptions);
+        }
+
+        public bool LoadState(string stateJson)
+        {
+            SimulationState state;
+            try
+            {
+                state = JsonSerializer.Deserialize<SimulationState>(stateJson, StateJsonOptions);
+            }
+            catch (JsonException)
+            {
+                return false;
+            }
+
+            if (state == null || state.Version != STATE_VERSION)
+                return false;
+            if (state.ParticleCount < 1 || state.ParticleCount > MAX_PARTICLES)
+                return false;
+            if (state.Particles == null || state.Particles.Length != state.ParticleCount * PARTICLE_STRIDE)
+                return false;
+            if (state.BandFrequencies == null || state.BandFrequencies.Length == 0 || state.BeatDetector == null)
+                return false;
+            if (state.VisualizationMode < 0 || state.VisualizationMode >= _modes.Count)
+                return false;
+
+            _time = state.Time;
+            _seed = state.Seed;
+            _random.State = state.RandomState;
+            _visualizationMode = state.VisualizationMode;
+            SetSensitivity(state.Sensitivity);
+            SetBandGains(state.LowGain, state.MidGain, state.HighGain);
+            SetViewport(state.ViewportWidth, state.ViewportHeight);
+
+            var bandFrequencies = new double[state.BandFrequencies.Length];
+            for (int i = 0; i < bandFrequencies.Length; i++)
+            {
+                bandFrequencies[i] = state.BandFrequencies[i];
+            }
+            SetBandLayout(bandFrequencies);
+            SetBandCrossovers(state.LowMidCrossoverHz, state.MidHighCrossoverHz);
+
+            _fixedTimestep = Math.Max(0, state.FixedTimestep);
+            _timestepAccumulator = state.TimestepAccumulator;
+            _emissionAccumulator = state.EmissionAccumulator;
+            SetParticleCount(state.ParticleCount);
+            _emitCursor = Math.Max(0, state.EmitCursor) % _particleCount;
+
+            for (int i = 0; i < MAX_PARTICLES; i++)
+            {
+                _particles[i] = new Particle();
+            }
+            for (int i = 0; i < _particleCount; i++)
+            {
+                int dataIndex = i * PARTICLE_STRIDE;
+                _particles[i].X = state.Particles[dataIndex];
+                _particles[i].Y = state.Particles[dataIndex + 1];
+                _particles[i].VelocityX = state.Particles[dataIndex + 2];
+                _particles[i].VelocityY = state.Particles[dataIndex + 3];
+                _particles[i].Life = state.Particles[dataIndex + 4];
+                _particles[i].ColorHue = state.Particles[dataIndex + 5];
+            }
+
+            // Older snapshots have no mode parameters and keep the current ones
+            if (state.ModeParameters != null)
+                _modes.LoadParameters(state.ModeParameters);
+
+            _beatDetector = new BeatDetector();
+            _beatDetector.LoadState(state.BeatDetector);
+            _features = new FeatureExtractor();
+            if (state.Features != null)
+                _features.LoadState(state.Features);
+            // Older snapshots kept no shared spectrum, so their first frame has no flux
+            _flux = new SpectralFlux();
+            _flux.LoadState(state.FluxSpectrum);
+            if (state.BandConditioner != null)
+                _conditioner.LoadState(state.BandConditioner);
+            _isBeat = false;
+            _pendingBurstCount = 0;
+            return true;
+        }
+
+        public bool IsBeat() => _isBeat;
+        public double GetBpm() => _beatDetector.Bpm;
+        public double GetBeatPhase() => _beatDetector.BeatPhase;
+        public int GetBandCount() => _bandCount;
+        public float GetTotalEnergy() => CalculateEnergyBand(0, _bandCount);
+        public float GetSpectralCentroid() => CalculateSpectralCentroid();
+        public float GetSpectralCentroidHz() => CalculateSpectralCentroidHz();
+        public float GetLowFreqEnergy() => CalculateEnergyBand(0, _lowBandEnd);
+        public float GetMidFreqEnergy() => CalculateEnergyBand(_lowBandEnd, _midBandEnd);
+        public float GetHighFreqEnergy() => CalculateEnergyBand(_midBandEnd, _bandCount);
+
+        public double[] GetFeatures()
+        {
+            var features = new double[FeatureExtractor.FEATURE_COUNT];
+            _features.CopyTo(features);
+            return features;
+        }
+    }
+
+    // Positive band-by-band rise from the previous frame, kept per band so
+    // callers can average it over the range they care about. There is no
+    // rise on the first frame or after the band count changes.
+    public class SpectralFlux
+    {
+        private float[] _previousSpectrum = Array.Empty<float>();
+        private float[] _rise = Array.Empty<float>();
+
+        public bool HasPrevious { get; private set; }
+
+        public void Process(ReadOnlySpan<float> spectrum)
+        {
+            if (_previousSpectrum.Length != spectrum.Length)
+            {
+                _previousSpectrum = spectrum.ToArray();
+                _rise = new float[spectrum.Length];
+                HasPrevious = false;
+                return;
+            }
+
+            for (int i = 0; i < spectrum.Length; i++)
+            {
+                _rise[i] = Math.Max(0, spectrum[i] - _previousSpectrum[i]);
+                _previousSpectrum[i] = spectrum[i];
+            }
+            HasPrevious = true;
+        }
+
+        // Mean rise over the bands [start, start + count)
+        public float Mean(int start, int count)
+        {
+            int end = Math.Min(_rise.Length, start + count);
+            if (!HasPrevious || start >= end)
+                return 0;
+
+            float flux = 0;
+            for (int i = start; i < end; i++)
+                flux += _rise[i];
+            return flux / (end - start);
+        }
+
+        public float[] SaveState() => (float[])_previousSpectrum.Clone();
+
+        public void LoadState(float[] previousSpectrum)
+        {
+            _previousSpectrum = previousSpectrum != null ? (float[])previousSpectrum.Clone() : Array.Empty<float>();
+            _rise = new float[_previousSpectrum.Length];
+            HasPrevious = false;
+        }
+    }
+
+    public class BeatDetector
+    {
+        private const int FLUX_HISTORY = 43;
+        private const int INTERVAL_HISTORY = 16;
+        private const float THRESHOLD_MULTIPLIER = 1.5f;
+        private const float MIN_FLUX = 0.01f;
+        private const double MIN_BEAT_INTERVAL = 0.25;
+        private const double MIN_BPM = 60.0;
+        private const double MAX_BPM = 180.0;
+        private const double BEAT_TIMEOUT = 4.0;
+        // Summed frame times drift, so an interval right at a tempo limit can
+        // land a hair outside it and be folded to half or double time
+        private const double FOLD_TOLERANCE = 1e-3;
+
+        private float[] _fluxHistory = new float[FLUX_HISTORY];
+        private int _fluxIndex = 0;
+        private int _fluxCount = 0;
+
+        private double[] _intervals = new double[INTERVAL_HISTORY];
+        private int _intervalIndex = 0;
+        private int _intervalCount = 0;
+
+        private double _time = 0;
+        private double _lastBeatTime = double.NegativeInfinity;
+
+        public bool IsBeat { get; private set; }
+        public float Flux { get; private set; }
+        public double Bpm { get; private set; }
+
+        public double BeatPhase
+        {
+            get
+            {
+                if (Bpm <= 0 || double.IsNegativeInfinity(_lastBeatTime))
+                    return 0;
+
+                double period = 60.0 / Bpm;
+                double phase = (_time - _lastBeatTime) / period;
+                return phase - Math.Floor(phase);
+            }
+        }
+
+        // Looks for onsets in the flux over the first bandCount bands
+        public bool Process(SpectralFlux spectralFlux, int bandCount, double deltaTime)
+        {
+            _time += deltaTime;
+
+            if (!spectralFlux.HasPrevious)
+            {
+                IsBeat = false;
+                return false;
+            }
+
+            Flux = spectralFlux.Mean(0, bandCount);
+
+            float mean = 0;
+            for (int i = 0; i < _fluxCount; i++)
+                mean += _fluxHistory[i];
+            mean = _fluxCount > 0 ? mean / _fluxCount : 0;
+
+            float variance = 0;
+            for (int i = 0; i < _fluxCount; i++)
+                variance += (_fluxHistory[i] - mean) * (_fluxHistory[i] - mean);
+            float deviation = _fluxCount > 0 ? (float)Math.Sqrt(variance / _fluxCount) : 0;
+
+            float threshold = mean + deviation * THRESHOLD_MULTIPLIER + MIN_FLUX;
+            IsBeat = _fluxCount >= FLUX_HISTORY / 2
+                && Flux > threshold
+                && _time - _lastBeatTime >= MIN_BEAT_INTERVAL;
+
+            _fluxHistory[_fluxIndex] = Flux;
+            _fluxIndex = (_fluxIndex + 1) % FLUX_HISTORY;
+            _fluxCount = Math.Min(_fluxCount + 1, FLUX_HISTORY);
+
+            if (IsBeat)
+                RegisterBeat();
+            else if (_time - _lastBeatTime > BEAT_TIMEOUT)
+                Bpm = 0;
+
+            return IsBeat;
+        }
+
+        public BeatDetectorState SaveState()
+        {
+            return new BeatDetectorState
+            {
+                FluxHistory = (float[])_fluxHistory.Clone(),
+                FluxIndex = _fluxIndex,
+                FluxCount = _fluxCount,
+                Intervals = (double[])_intervals.Clone(),
+                IntervalIndex = _intervalIndex,
+                IntervalCount = _intervalCount,
+                Time = _time,
+                LastBeatTime = _lastBeatTime,
+                Bpm = Bpm,
+            };
+        }
+
+        public void LoadState(BeatDetectorState state)
+        {
+            if (state.FluxHistory != null)
+                Array.Copy(state.FluxHistory, _fluxHistory, Math.Min(state.FluxHistory.Length, FLUX_HISTORY));
+            if (state.Intervals != null)
+                Array.Copy(state.Intervals, _intervals, Math.Min(state.Intervals.Length, INTERVAL_HISTORY));
+
+            _fluxIndex = Math.Max(0, Math.Min(state.FluxIndex, FLUX_HISTORY - 1));
+            _fluxCount = Math.Max(0, Math.Min(state.FluxCount, FLUX_HISTORY));
+            _intervalIndex = Math.Max(0, Math.Min(state.IntervalIndex, INTERVAL_HISTORY - 1));
+            _intervalCount = Math.Max(0, Math.Min(state.IntervalCount, INTERVAL_HISTORY));
+            _time = state.Time;
+            _lastBeatTime = state.LastBeatTime;
+            Bpm = state.Bpm;
+            IsBeat = false;
+        }
+
+        private void RegisterBeat()
+        {
+            double interval = _time - _lastBeatTime;
+            _lastBeatTime = _time;
+
+            if (double.IsInfinity(interval) || interval > 60.0 / MIN_BPM * 2)
+                return;
+
+            // Fold into the tempo range so half- and double-time onsets vote for the same BPM
+            while (interval < 60.0 / MAX_BPM - FOLD_TOLERANCE)
+                interval *= 2;
+            while (interval > 60.0 / MIN_BPM + FOLD_TOLERANCE)
+                interval /= 2;
+
+            _intervals[_intervalIndex] = interval;
+            _intervalIndex = (_intervalIndex + 1) % INTERVAL_HISTORY;
+            _intervalCount = Math.Min(_intervalCount + 1, INTERVAL_HISTORY);
+
+            var sorted = new double[_intervalCount];
+            Array.Copy(_intervals, sorted, _intervalCount);
+            Array.Sort(sorted);
+
+            double estimate = 60.0 / sorted[_intervalCount / 2];
+            Bpm = Bpm > 0 ? Bpm * 0.8 + estimate * 0.2 : estimate;
+        }
+    }
+
+    // Feeds a fresh detector an impulse train at a known tempo, so beat
+    // detection can be checked without any audio. Each click lifts every band
+    // to full scale and dies away over a few frames, over a quiet floor.
+    public static class ClickTrack
+    {
+        public const double DEFAULT_FRAME_RATE = 60.0;
+        // One frame of jitter on the click times moves the estimate by about this much
+        public const double BPM_TOLERANCE = 2.0;
+
+        private const double LEAD_IN = 1.0;
+        private const int BANDS = 16;
+        private const float FLOOR = 0.05f;
+        private const float CLICK_DECAY = 0.5f;
+
+        public static ClickTrackResult Run(double bpm, int beats, double frameRate = DEFAULT_FRAME_RATE)
+        {
+            var detector = new BeatDetector();
+            var flux = new SpectralFlux();
+            var spectrum = new float[BANDS];
+            double deltaTime = 1.0 / frameRate;
+            double period = 60.0 / bpm;
+            int frames = (int)Math.Ceiling((LEAD_IN + beats * period) * frameRate);
+
+            int clicks = 0;
+            int detected = 0;
+            float level = 0;
+            for (int frame = 1; frame <= frames; frame++)
+            {
+                level *= CLICK_DECAY;
+                if (clicks < beats && frame * deltaTime >= LEAD_IN + clicks * period)
+                {
+                    level = 1;
+                    clicks++;
+                }
+
+                Array.Fill(spectrum, FLOOR + level * (1 - FLOOR));
+                flux.Process(spectrum);
+                if (detector.Process(flux, BANDS, deltaTime))
+                    detected++;
+            }
+
+            return new ClickTrackResult
+            {
+                ExpectedBpm = bpm,
+                ExpectedBeats = beats,
+                Bpm = detector.Bpm,
+                Beats = detected,
+                Passed = detected == beats && Math.Abs(detector.Bpm - bpm) <= BPM_TOLERANCE,
+            };
+        }
+    }
+
+    public class ClickTrackResult
+    {
+        public double ExpectedBpm { get; set; }
+        public int ExpectedBeats { get; set; }
+        public double Bpm { get; set; }
+        public int Beats { get; set; }
+        public bool Passed { get; set; }
+    }
+
+    // Descriptors beyond band energy, computed once per frame from the band
+    // spectrum and the downmixed waveform. Rolloff and spread are in Hz, and
+    // the spectral shape features weight each band by the width it covers like
+    // the centroid does, so they come out the same for linear, log and mel
+    // layouts. Flux is the mean rise per band, shared with the beat detector,
+    // and does depend on the layout.
+    // Loudness is unweighted, so it is only LUFS-style: a 3 s short-term mean
+    // square in dB, floored at -70.
+    public class FeatureExtractor
+    {
+        public const int RMS = 0;
+        public const int LOUDNESS = 1;
+        public const int FLATNESS = 2;
+        public const int ROLLOFF = 3;
+        public const int SPREAD = 4;
+        public const int FLUX = 5;
+        public const int ZERO_CROSSING_RATE = 6;
+        public const int CHROMA = 7;
+        public const int CHROMA_BINS = 12;
+        public const int FEATURE_COUNT = CHROMA + CHROMA_BINS;
+        public const float SILENCE_LUFS = -70.0f;
+
+        private const double LOUDNESS_WINDOW = 3.0;
+        private const int LOUDNESS_HISTORY = 512;
+        private const float ROLLOFF_FRACTION = 0.85f;
+        private const float MIN_CHROMA_HZ = 55.0f;
+        private const float MAX_CHROMA_HZ = 5000.0f;
+        private const float EPSILON = 1e-6f;
+
+        private readonly float[] _features = new float[FEATURE_COUNT];
+        private double[] _loudnessEnergy = new double[LOUDNESS_HISTORY];
+        private double[] _loudnessDuration = new double[LOUDNESS_HISTORY];
+        private int _loudnessIndex = 0;
+        private int _loudnessCount = 0;
+
+        public float this[int feature] => _features[feature];
+
+        public void CopyTo(Span<double> destination)
+        {
+            for (int i = 0; i < FEATURE_COUNT && i < destination.Length; i++)
+            {
+                destination[i] = _features[i];
+            }
+        }
+
+        public void Process(ReadOnlySpan<float> spectrum, ReadOnlySpan<float> bandFrequencies, ReadOnlySpan<float> bandWidths, ReadOnlySpan<float> waveform, float flux, double deltaTime)
+        {
+            ProcessWaveform(waveform, deltaTime);
+            ProcessSpectrumShape(spectrum, bandFrequencies, bandWidths);
+            _features[FLUX] = flux;
+            ProcessChroma(spectrum, bandFrequencies);
+        }
+
+        private void ProcessWaveform(ReadOnlySpan<float> waveform, double deltaTime)
+        {
+            double sumSquares = 0;
+            int crossings = 0;
+            for (int i = 0; i < waveform.Length; i++)
+            {
+                sumSquares += waveform[i] * waveform[i];
+                if (i > 0 && (waveform[i] >= 0) != (waveform[i - 1] >= 0))
+                    crossings++;
+            }
+
+            double meanSquare = waveform.Length > 0 ? sumSquares / waveform.Length : 0;
+            _features[RMS] = (float)Math.Sqrt(meanSquare);
+            _features[ZERO_CROSSING_RATE] = waveform.Length > 1 ? crossings / (float)(waveform.Length - 1) : 0;
+
+            if (deltaTime > 0)
+            {
+                _loudnessEnergy[_loudnessIndex] = meanSquare * deltaTime;
+                _loudnessDuration[_loudnessIndex] = deltaTime;
+                _loudnessIndex = (_loudnessIndex + 1) % LOUDNESS_HISTORY;
+                _loudnessCount = Math.Min(_loudnessCount + 1, LOUDNESS_HISTORY);
+            }
+
+            // Walk back from the newest frame until the window is full
+            double energy = 0;
+            double duration = 0;
+            for (int i = 1; i <= _loudnessCount && duration < LOUDNESS_WINDOW; i++)
+            {
+                int index = (_loudnessIndex - i + LOUDNESS_HISTORY) % LOUDNESS_HISTORY;
+                energy += _loudnessEnergy[index];
+                duration += _loudnessDuration[index];
+            }
+
+            double shortTerm = duration > 0 ? energy / duration : 0;
+            _features[LOUDNESS] = shortTerm > 0
+                ? Math.Max(SILENCE_LUFS, (float)(-0.691 + 10 * Math.Log10(shortTerm)))
+                : SILENCE_LUFS;
+        }
+
+        private void ProcessSpectrumShape(ReadOnlySpan<float> spectrum, ReadOnlySpan<float> bandFrequencies, ReadOnlySpan<float> bandWidths)
+        {
+            int count = Math.Min(spectrum.Length, Math.Min(bandFrequencies.Length, bandWidths.Length));
+            double totalWidth = 0;
+            double energy = 0;
+            double weightedSum = 0;
+            double power = 0;
+            double logSum = 0;
+            for (int i = 0; i < count; i++)
+            {
+                double magnitude = spectrum[i];
+                double width = bandWidths[i];
+                totalWidth += width;
+                energy += magnitude * width;
+                weightedSum += magnitude * width * bandFrequencies[i];
+                power += magnitude * magnitude * width;
+                logSum += Math.Log(magnitude + EPSILON) * width;
+            }
+
+            if (count == 0 || totalWidth <= 0 || energy <= EPSILON)
+            {
+                _features[FLATNESS] = 0;
+                _features[ROLLOFF] = 0;
+                _features[SPREAD] = 0;
+                return;
+            }
+
+            double arithmeticMean = energy / totalWidth;
+            double geometricMean = Math.Exp(logSum / totalWidth);
+            _features[FLATNESS] = (float)Math.Min(1.0, geometricMean / arithmeticMean);
+
+            double centroid = weightedSum / energy;
+            double variance = 0;
+            for (int i = 0; i < count; i++)
+            {
+                double distance = bandFrequencies[i] - centroid;
+                variance += spectrum[i] * bandWidths[i] * distance * distance;
+            }
+            _features[SPREAD] = (float)Math.Sqrt(variance / energy);
+
+            // Each band spans its width around its centre, so the crossing
+            // point is interpolated inside the band that reaches the threshold
+            double threshold = power * ROLLOFF_FRACTION;
+            double cumulative = 0;
+            double rolloff = bandFrequencies[count - 1] + bandWidths[count - 1] * 0.5;
+            for (int i = 0; i < count; i++)
+            {
+                double bandPower = (double)spectrum[i] * spectrum[i] * bandWidths[i];
+                if (bandPower > 0 && cumulative + bandPower >= threshold)
+                {
+                    double lowerEdge = bandFrequencies[i] - bandWidths[i] * 0.5;
+                    rolloff = lowerEdge + bandWidths[i] * (threshold - cumulative) / bandPower;
+                    break;
+                }
+                cumulative += bandPower;
+            }
+            _features[ROLLOFF] = (float)Math.Max(0, rolloff);
+        }
+
+        // Folds each band into the pitch class nearest its centre frequency,
+        // C first, and scales the strongest class to 1
+        private void ProcessChroma(ReadOnlySpan<float> spectrum, ReadOnlySpan<float> bandFrequencies)
+        {
+            Span<float> chroma = _features.AsSpan(CHROMA, CHROMA_BINS);
+            chroma.Clear();
+
+            for (int i = 0; i < spectrum.Length && i < bandFrequencies.Length; i++)
+            {
+                float frequency = bandFrequencies[i];
+                if (frequency < MIN_CHROMA_HZ || frequency > MAX_CHROMA_HZ)
+                    continue;
+
+                int semitone = (int)Math.Round(12 * Math.Log2(frequency / 440.0)) + 9;
+                int pitchClass = ((semitone % CHROMA_BINS) + CHROMA_BINS) % CHROMA_BINS;
+                chroma[pitchClass] += spectrum[i] * spectrum[i];
+            }
+
+            float strongest = 0;
+            for (int i = 0; i < CHROMA_BINS; i++)
+            {
+                strongest = Math.Max(strongest, chroma[i]);
+            }
+            if (strongest > EPSILON)
+            {
+                for (int i = 0; i < CHROMA_BINS; i++)
+                {
+                    chroma[i] /= strongest;
+                }
+            }
+        }
+
+        public FeatureExtractorState SaveState()
+        {
+            return new FeatureExtractorState
+            {
+                LoudnessEnergy = (double[])_loudnessEnergy.Clone(),
+                LoudnessDuration = (double[])_loudnessDuration.Clone(),
+                LoudnessIndex = _loudnessIndex,
+                LoudnessCount = _loudnessCount,
+            };
+        }
+
+        public void LoadState(FeatureExtractorState state)
+        {
+            if (state.LoudnessEnergy != null)
+                Array.Copy(state.LoudnessEnergy, _loudnessEnergy, Math.Min(state.LoudnessEnergy.Length, LOUDNESS_HISTORY));
+            if (state.LoudnessDuration != null)
+                Array.Copy(state.LoudnessDuration, _loudnessDuration, Math.Min(state.LoudnessDuration.Length, LOUDNESS_HISTORY));
+
+            _loudnessIndex = Math.Max(0, Math.Min(state.LoudnessIndex, LOUDNESS_HISTORY - 1));
+            _loudnessCount = Math.Max(0, Math.Min(state.LoudnessCount, LOUDNESS_HISTORY));
+        }
+    }
+
+    public class FeatureExtractorState
+    {
+        public double[] LoudnessEnergy { get; set; }
+        public double[] LoudnessDuration { get; set; }
+        public int LoudnessIndex { get; set; }
+        public int LoudnessCount { get; set; }
+    }
+
+    // Shapes the analyser magnitudes before they drive the simulation. Each band
+    // goes through an attack/release envelope follower and is then stretched
+    // between a running floor and peak, so quiet and loud tracks both move
+    // particles across the full 0 to 1 range. The bounds jump out to a new
+    // extreme and relax towards the band's long-term level, and the floor
+    // stays at or below half the peak, so a sustained level reads high rather
+    // than collapsing to 0. Normalization blends from the plain envelope (0)
+    // to the fully normalised value (1).
+    public class BandConditioner
+    {
+        public const float DEFAULT_ATTACK_TIME = 0.01f;
+        public const float DEFAULT_RELEASE_TIME = 0.15f;
+        public const float DEFAULT_ADAPTATION_TIME = 8.0f;
+        public const float DEFAULT_NORMALIZATION = 1.0f;
+        public const float MAX_ENVELOPE_TIME = 2.0f;
+        public const float MIN_ADAPTATION_TIME = 0.5f;
+        public const float MAX_ADAPTATION_TIME = 60.0f;
+
+        // Near-silent bands would otherwise be stretched into full-scale noise
+        private const float MIN_RANGE = 0.1f;
+        private const float MAX_FLOOR_FRACTION = 0.5f;
+
+        private readonly float[] _envelope;
+        private readonly float[] _level;
+        private readonly float[] _floor;
+        private readonly float[] _peak;
+
+        public float AttackTime { get; private set; } = DEFAULT_ATTACK_TIME;
+        public float ReleaseTime { get; private set; } = DEFAULT_RELEASE_TIME;
+        public float AdaptationTime { get; private set; } = DEFAULT_ADAPTATION_TIME;
+        public float Normalization { get; private set; } = DEFAULT_NORMALIZATION;
+
+        public BandConditioner(int capacity)
+        {
+            _envelope = new float[capacity];
+            _level = new float[capacity];
+            _floor = new float[capacity];
+            _peak = new float[capacity];
+        }
+
+        public void SetEnvelopeTimes(float attackTime, float releaseTime)
+        {
+            AttackTime = Math.Max(0.0f, Math.Min(MAX_ENVELOPE_TIME, attackTime));
+            ReleaseTime = Math.Max(0.0f, Math.Min(MAX_ENVELOPE_TIME, releaseTime));
+        }
+
+        public void SetNormalization(float amount, float adaptationTime)
+        {
+            Normalization = Math.Max(0.0f, Math.Min(1.0f, amount));
+            AdaptationTime = Math.Max(MIN_ADAPTATION_TIME, Math.Min(MAX_ADAPTATION_TIME, adaptationTime));
+        }
+
+        public void Reset()
+        {
+            Array.Clear(_envelope);
+            Array.Clear(_level);
+            Array.Clear(_floor);
+            Array.Clear(_peak);
+        }
+
+        public void Process(ReadOnlySpan<float> input, Span<float> output, double deltaTime)
+        {
+            float attack = Smoothing(deltaTime, AttackTime);
+            float release = Smoothing(deltaTime, ReleaseTime);
+            float adaptation = Smoothing(deltaTime, AdaptationTime);
+            int count = Math.Min(input.Length, Math.Min(output.Length, _envelope.Length));
+
+            for (int i = 0; i < count; i++)
+            {
+                float envelope = _envelope[i];
+                envelope += (input[i] - envelope) * (input[i] > envelope ? attack : release);
+                _envelope[i] = envelope;
+
+                float level = _level[i] + (envelope - _level[i]) * adaptation;
+                _level[i] = level;
+
+                float peak = Math.Max(envelope, _peak[i] + (level - _peak[i]) * adaptation);
+                float floor = Math.Min(envelope, _floor[i] + (level - _floor[i]) * adaptation);
+                _peak[i] = peak;
+                _floor[i] = Math.Min(floor, peak * MAX_FLOOR_FRACTION);
+
+                float range = Math.Max(_peak[i] - _floor[i], MIN_RANGE);
+                float normalized = Math.Min(1.0f, (envelope - _floor[i]) / range);
+                output[i] = envelope + (normalized - envelope) * Normalization;
+            }
+        }
+
+        private static float Smoothing(double deltaTime, float timeConstant)
+        {
+            return timeConstant > 0 ? (float)(1 - Math.Exp(-deltaTime / timeConstant)) : 1.0f;
+        }
+
+        public BandConditionerState SaveState(int bandCount)
+        {
+            return new BandConditionerState
+            {
+                AttackTime = AttackTime,
+                ReleaseTime = ReleaseTime,
+                AdaptationTime = AdaptationTime,
+                Normalization = Normalization,
+                Envelope = _envelope.AsSpan(0, bandCount).ToArray(),
+                Level = _level.AsSpan(0, bandCount).ToArray(),
+                Floor = _floor.AsSpan(0, bandCount).ToArray(),
+                Peak = _peak.AsSpan(0, bandCount).ToArray(),
+            };
+        }
+
+        public void LoadState(BandConditionerState state)
+        {
+            SetEnvelopeTimes(state.AttackTime, state.ReleaseTime);
+            SetNormalization(state.Normalization, state.AdaptationTime);
+
+            Reset();
+            if (state.Envelope != null)
+                state.Envelope.AsSpan(0, Math.Min(state.Envelope.Length, _envelope.Length)).CopyTo(_envelope);
+            if (state.Level != null)
+                state.Level.AsSpan(0, Math.Min(state.Level.Length, _level.Length)).CopyTo(_level);
+            if (state.Floor != null)
+                state.Floor.AsSpan(0, Math.Min(state.Floor.Length, _floor.Length)).CopyTo(_floor);
+            if (state.Peak != null)
+                state.Peak.AsSpan(0, Math.Min(state.Peak.Length, _peak.Length)).CopyTo(_peak);
+        }
+    }
+
+    public class BandConditionerState
+    {
+        public float AttackTime { get; set; }
+        public float ReleaseTime { get; set; }
+        public float AdaptationTime { get; set; }
+        public float Normalization { get; set; }
+        public float[] Envelope { get; set; }
+        public float[] Level { get; set; }
+        public float[] Floor { get; set; }
+        public float[] Peak { get; set; }
+    }
+
+    // Reads a band layout in Hz. Bands can be linear, log or mel spaced, so
+    // anything that compares energy across them weights each band by the
+    // width it covers.
+    public static class BandLayout
+    {
+        public const float MIN_HZ = 20.0f;
+        public const float MAX_HZ = 20000.0f;
+
+        // Each band reaches halfway to its neighbours; the end bands mirror
+        // their only neighbour
+        public static void FillWidths(ReadOnlySpan<float> centers, Span<float> widths)
+        {
+            int count = Math.Min(centers.Length, widths.Length);
+            if (count == 1)
+            {
+                widths[0] = 1;
+                return;
+            }
+
+            for (int i = 0; i < count; i++)
+            {
+                float lower = i > 0 ? centers[i - 1] : 2 * centers[0] - centers[1];
+                float upper = i < count - 1 ? centers[i + 1] : 2 * centers[count - 1] - centers[count - 2];
+                widths[i] = Math.Max(0.0f, (upper - lower) * 0.5f);
+            }
+        }
+
+        // 0 at 20 Hz and 1 at 20 kHz on a log axis
+        public static float ToLogPosition(float frequencyHz)
+        {
+            if (frequencyHz <= MIN_HZ)
+                return 0;
+            return Math.Min(1.0f, (float)(Math.Log(frequencyHz / MIN_HZ) / Math.Log(MAX_HZ / MIN_HZ)));
+        }
+    }
+
+    public class BeatDetectorState
+    {
+        public float[] FluxHistory { get; set; }
+        public int FluxIndex { get; set; }
+        public int FluxCount { get; set; }
+        public double[] Intervals { get; set; }
+        public int IntervalIndex { get; set; }
+        public int IntervalCount { get; set; }
+        public double Time { get; set; }
+        public double LastBeatTime { get; set; }
+        public double Bpm { get; set; }
+    }
+
+    public class SimulationState
+    {
+        public int Version { get; set; }
+        public double Time { get; set; }
+        public uint Seed { get; set; }
+        public uint RandomState { get; set; }
+        public int VisualizationMode { get; set; }
+        public float Sensitivity { get; set; }
+        public float LowGain { get; set; }
+        public float MidGain { get; set; }
+        public float HighGain { get; set; }
+        public float ViewportWidth { get; set; }
+        public float ViewportHeight { get; set; }
+        public float LowMidCrossoverHz { get; set; }
+        public float MidHighCrossoverHz { get; set; }
+        public float[] BandFrequencies { get; set; }
+        public double FixedTimestep { get; set; }
+        public double TimestepAccumulator { get; set; }
+        public double EmissionAccumulator { get; set; }
+        public int EmitCursor { get; set; }
+        public int ParticleCount { get; set; }
+        public float[] Particles { get; set; }
+        public BeatDetectorState BeatDetector { get; set; }
+        public FeatureExtractorState Features { get; set; }
+        public float[] FluxSpectrum { get; set; }
+        public BandConditionerState BandConditioner { get; set; }
+        public float[][] ModeParameters { get; set; }
+    }
+
+    // What a mode can see of the current simulation step. The simulation fills
+    // one instance per step and reuses it, so modes must not keep a reference.
+    public sealed class ModeContext
+    {
+        // Half of 20 Hz to 20 kHz, about the widest spread a spectrum can have
+        private const float MAX_SPREAD_HZ = 10000.0f;
+
+        public double DeltaTime;
+        public double Time;
+        public float TotalEnergy;
+        public float LowEnergy;
+        public float MidEnergy;
+        public float HighEnergy;
+        public float SpectralCentroid;
+        public float Sensitivity;
+        public float ViewportWidth;
+        public float ViewportHeight;
+        public bool BeatImpulse;
+        public SeededRandom Random;
+        public FeatureExtractor Features;
+
+        private float[] _waveform = Array.Empty<float>();
+        private int _waveformLength;
+
+        public void SetWaveform(float[] waveform, int length)
+        {
+            _waveform = waveform;
+            _waveformLength = length;
+        }
+
+        public float SampleWaveform(float position)
+        {
+            if (_waveformLength == 0)
+                return 0;
+
+            float index = Math.Max(0.0f, Math.Min(1.0f, position)) * (_waveformLength - 1);
+            int lower = (int)index;
+            int upper = Math.Min(lower + 1, _waveformLength - 1);
+            float blend = index - lower;
+            return _waveform[lower] + (_waveform[upper] - _waveform[lower]) * blend;
+        }
+
+        public float GetFeature(AudioFeature feature)
+        {
+            switch (feature)
+            {
+                case AudioFeature.Total: return TotalEnergy;
+                case AudioFeature.Low: return LowEnergy;
+                case AudioFeature.Mid: return MidEnergy;
+                case AudioFeature.High: return HighEnergy;
+                case AudioFeature.Centroid: return SpectralCentroid;
+                case AudioFeature.Beat: return BeatImpulse ? 1 : 0;
+                case AudioFeature.Rms: return Features[FeatureExtractor.RMS];
+                case AudioFeature.Loudness:
+                    return Math.Max(0, 1 - Features[FeatureExtractor.LOUDNESS] / FeatureExtractor.SILENCE_LUFS);
+                case AudioFeature.Flatness: return Features[FeatureExtractor.FLATNESS];
+                case AudioFeature.Rolloff: return BandLayout.ToLogPosition(Features[FeatureExtractor.ROLLOFF]);
+                case AudioFeature.Spread: return Math.Min(1.0f, Features[FeatureExtractor.SPREAD] / MAX_SPREAD_HZ);
+                case AudioFeature.Flux: return Features[FeatureExtractor.FLUX];
+                case AudioFeature.ZeroCrossingRate: return Features[FeatureExtractor.ZERO_CROSSING_RATE];
+                default: return 1;
+            }
+        }
+
+        public void SpawnNearCenter(ref Particle particle)
+        {
+            particle.X = ViewportWidth / 2 + (Random.NextSingle() - 0.5f) * 50;
+            particle.Y = ViewportHeight / 2 + (Random.NextSingle() - 0.5f) * 50;
+        }
+    }
+
+    public sealed class ModeParameter
+    {
+        public ModeParameter(string key, string label, float min, float max, float defaultValue)
+        {
+            Key = key;
+            Label = label;
+            Min = min;
+            Max = max;
+            Default = defaultValue;
+        }
+
+        public string Key { get; }
+        public string Label { get; }
+        public float Min { get; }
+        public float Max { get; }
+        public float Default { get; }
+
+        public float Clamp(float value) => Math.Max(Min, Math.Min(Max, value));
+    }
+
+    // Spawn only places a new particle; the simulation then gives it velocity,
+    // life and hue. Update adds the mode's forces before pointers, integration
+    // and damping are applied. parameters holds the current value of each
+    // entry in Parameters, in the same order.
+    public interface IVisualizationMode
+    {
+        string Name { get; }
+        ModeParameter[] Parameters { get; }
+        // What the renderer draws over the particles, e.g. "scope" for the
+        // waveform and vectorscope traces, or null for nothing
+        string Overlay => null;
+        void Spawn(ref Particle particle, ModeContext context, float[] parameters);
+        void Update(ref Particle particle, ModeContext context, float[] parameters);
+    }
+
+    public sealed class ModeRegistry
+    {
+        private readonly List<IVisualizationMode> _modes = new List<IVisualizationMode>();
+        private readonly List<float[]> _values = new List<float[]>();
+
+        // Registration order is the mode number used by JS and saved state
+        public static ModeRegistry CreateDefault()
+        {
+            var registry = new ModeRegistry();
+            registry.Register(new EnhancedRadialMode());
+            registry.Register(new DynamicOrbitalMode());
+            registry.Register(new SpectralWaveMode());
+            registry.Register(new OscilloscopeMode());
+            return registry;
+        }
+
+        public int Count => _modes.Count;
+        public IVisualizationMode this[int index] => _modes[index];
+        public float[] GetParameters(int index) => _values[index];
+
+        public int Register(IVisualizationMode mode)
+        {
+            _modes.Add(mode);
+            _values.Add(CreateDefaults(mode));
+            return _modes.Count - 1;
+        }
+
+        public void Replace(int index, IVisualizationMode mode)
+        {
+            _modes[index] = mode;
+            _values[index] = CreateDefaults(mode);
+        }
+
+        public int IndexOf(string name) => _modes.FindIndex(mode => mode.Name == name);
+
+        private static float[] CreateDefaults(IVisualizationMode mode)
+        {
+            var values = new float[mode.Parameters.Length];
+            for (int i = 0; i < values.Length; i++)
+            {
+                values[i] = mode.Parameters[i].Default;
+            }
+            return values;
+        }
+
+        public bool SetParameter(int index, string key, float value)
+        {
+            if (index < 0 || index >= _modes.Count || !float.IsFinite(value))
+                return false;
+
+            ModeParameter[] parameters = _modes[index].Parameters;
+            for (int i = 0; i < parameters.Length; i++)
+            {
+                if (parameters[i].Key == key)
+                {
+                    _values[index][i] = parameters[i].Clamp(value);
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        public float[][] SaveParameters()
+        {
+            var saved = new float[_values.Count][];
+            for (int i = 0; i < saved.Length; i++)
+            {
+                saved[i] = (float[])_values[i].Clone();
+            }
+            return saved;
+        }
+
+        public void LoadParameters(float[][] saved)
+        {
+            for (int i = 0; i < saved.Length && i < _modes.Count; i++)
+            {
+                ModeParameter[] parameters = _modes[i].Parameters;
+                if (saved[i] == null || saved[i].Length != parameters.Length)
+                    continue;
+
+                for (int p = 0; p < parameters.Length; p++)
+                {
+                    _values[i][p] = float.IsFinite(saved[i][p]) ? parameters[p].Clamp(saved[i][p]) : parameters[p].Default;
+                }
+            }
+        }
+
+        public string Describe()
+        {
+            var modes = new ModeInfo[_modes.Count];
+            for (int i = 0; i < modes.Length; i++)
+            {
+                ModeParameter[] parameters = _modes[i].Parameters;
+                var parameterInfo = new ModeParameterInfo[parameters.Length];
+                for (int p = 0; p < parameters.Length; p++)
+                {
+                    parameterInfo[p] = new ModeParameterInfo
+                    {
+                        Key = parameters[p].Key,
+                        Label = parameters[p].Label,
+                        Min = parameters[p].Min,
+                        Max = parameters[p].Max,
+                        Default = parameters[p].Default,
+                        Value = _values[i][p],
+                    };
+                }
+
+                modes[i] = new ModeInfo { Id = i, Name = _modes[i].Name, Overlay = _modes[i].Overlay, Parameters = parameterInfo };
+            }
+
+            return JsonSerializer.Serialize(modes);
+        }
+    }
+
+    public class ModeInfo
+    {
+        public int Id { get; set; }
+        public string Name { get; set; }
+        public string Overlay { get; set; }
+        public ModeParameterInfo[] Parameters { get; set; }
+    }
+
+    public class ModeParameterInfo
+    {
+        public string Key { get; set; }
+        public string Label { get; set; }
+        public float Min { get; set; }
+        public float Max { get; set; }
+        public float Default { get; set; }
+        public float Value { get; set; }
+    }
+
+    public sealed class EnhancedRadialMode : IVisualizationMode
+    {
+        private const int RADIAL_FORCE = 0;
+        private const int SPIRAL_FORCE = 1;
+        private const int JITTER = 2;
+        private const int BEAT_BURST = 3;
+
+        public string Name => "Enhanced Radial";
+
+        public ModeParameter[] Parameters { get; } =
+        {
+            new ModeParameter("radialForce", "Radial Force", 0, 200, 80),
+            new ModeParameter("spiralForce", "Spiral Force", 0, 150, 40),
+            new ModeParameter("jitter", "Jitter", 0, 100, 20),
+            new ModeParameter("beatBurst", "Beat Burst", 0, 3, 1),
+        };
+
+        public void Spawn(ref Particle particle, ModeContext context, float[] parameters) => context.SpawnNearCenter(ref particle);
+
+        public void Update(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            float dx = particle.X - context.ViewportWidth / 2;
+            float dy = particle.Y - context.ViewportHeight / 2;
+            float distance = (float)Math.Sqrt(dx * dx + dy * dy);
+
+            if (distance <= 0)
+                return;
+
+            float deltaTime = (float)context.DeltaTime;
+            float sensitivity = context.Sensitivity;
+            float baseForce = context.TotalEnergy * sensitivity * parameters[RADIAL_FORCE];
+            float spiralForce = context.MidEnergy * sensitivity * parameters[SPIRAL_FORCE];
+
+            particle.VelocityX += (dx / distance) * baseForce * deltaTime;
+            particle.VelocityY += (dy / distance) * baseForce * deltaTime;
+
+            float spiralAngle = (float)Math.Atan2(dy, dx) + context.SpectralCentroid * 2.0f;
+            particle.VelocityX += (float)Math.Cos(spiralAngle) * spiralForce * deltaTime;
+            particle.VelocityY += (float)Math.Sin(spiralAngle) * spiralForce * deltaTime;
+
+            float jitter = context.HighEnergy * sensitivity * parameters[JITTER];
+            particle.VelocityX += ((float)context.Random.NextDouble() - 0.5f) * jitter * deltaTime;
+            particle.VelocityY += ((float)context.Random.NextDouble() - 0.5f) * jitter * deltaTime;
+
+            if (context.BeatImpulse)
+            {
+                float burst = AudioVisualizer.BEAT_IMPULSE * parameters[BEAT_BURST] * (0.5f + context.LowEnergy) * sensitivity;
+                particle.VelocityX += (dx / distance) * burst;
+                particle.VelocityY += (dy / distance) * burst;
+            }
+        }
+    }
+
+    public sealed class DynamicOrbitalMode : IVisualizationMode
+    {
+        private const int ORBIT_SPEED = 0;
+        private const int RADIAL_PULSE = 1;
+        private const int VARIATION = 2;
+        private const int BEAT_SPIN = 3;
+
+        public string Name => "Dynamic Orbital";
+
+        public ModeParameter[] Parameters { get; } =
+        {
+            new ModeParameter("orbitSpeed", "Orbit Speed", 0, 120, 40),
+            new ModeParameter("radialPulse", "Radial Pulse", 0, 100, 30),
+            new ModeParameter("variation", "Variation", 0, 60, 15),
+            new ModeParameter("beatSpin", "Beat Spin", 0, 2, 0.6f),
+        };
+
+        public void Spawn(ref Particle particle, ModeContext context, float[] parameters) => context.SpawnNearCenter(ref particle);
+
+        public void Update(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            float dx = particle.X - context.ViewportWidth / 2;
+            float dy = particle.Y - context.ViewportHeight / 2;
+            float distance = (float)Math.Sqrt(dx * dx + dy * dy);
+
+            if (distance <= 0)
+                return;
+
+            float deltaTime = (float)context.DeltaTime;
+            float sensitivity = context.Sensitivity;
+            float orbitalSpeed = (context.MidEnergy + context.SpectralCentroid) * sensitivity * parameters[ORBIT_SPEED];
+
+            particle.VelocityX += -dy * orbitalSpeed * deltaTime * 0.01f;
+            particle.VelocityY += dx * orbitalSpeed * deltaTime * 0.01f;
+
+            float radialPulse = (context.LowEnergy - 0.3f) * sensitivity * parameters[RADIAL_PULSE];
+            particle.VelocityX += (dx / distance) * radialPulse * deltaTime;
+            particle.VelocityY += (dy / distance) * radialPulse * deltaTime;
+
+            float orbitVariation = context.HighEnergy * sensitivity * parameters[VARIATION];
+            float variationAngle = (float)(context.Time * 3.0f + particle.Life * 2.0f);
+            particle.VelocityX += (float)Math.Cos(variationAngle) * orbitVariation * deltaTime;
+            particle.VelocityY += (float)Math.Sin(variationAngle) * orbitVariation * deltaTime;
+
+            if (context.BeatImpulse)
+            {
+                float spin = AudioVisualizer.BEAT_IMPULSE * parameters[BEAT_SPIN] * (0.5f + context.MidEnergy) * sensitivity;
+                particle.VelocityX += (-dy / distance) * spin;
+                particle.VelocityY += (dx / distance) * spin;
+            }
+        }
+    }
+
+    public sealed class SpectralWaveMode : IVisualizationMode
+    {
+        private const int LOW_AMPLITUDE = 0;
+        private const int MID_AMPLITUDE = 1;
+        private const int HIGH_AMPLITUDE = 2;
+        private const int SWIRL = 3;
+        private const int BEAT_RIPPLE = 4;
+
+        public string Name => "Spectral Wave";
+
+        public ModeParameter[] Parameters { get; } =
+        {
+            new ModeParameter("lowAmplitude", "Low Wave", 0, 200, 80),
+            new ModeParameter("midAmplitude", "Mid Wave", 0, 200, 60),
+            new ModeParameter("highAmplitude", "High Wave", 0, 200, 40),
+            new ModeParameter("swirl", "Swirl", 0, 100, 30),
+            new ModeParameter("beatRipple", "Beat Ripple", 0, 3, 0.8f),
+        };
+
+        public void Spawn(ref Particle particle, ModeContext context, float[] parameters) => context.SpawnNearCenter(ref particle);
+
+        public void Update(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            float deltaTime = (float)context.DeltaTime;
+            float sensitivity = context.Sensitivity;
+            double time = context.Time;
+            float spectralCentroid = context.SpectralCentroid;
+
+            float lowWaveAmplitude = context.LowEnergy * sensitivity * parameters[LOW_AMPLITUDE];
+            float midWaveAmplitude = context.MidEnergy * sensitivity * parameters[MID_AMPLITUDE];
+            float highWaveAmplitude = context.HighEnergy * sensitivity * parameters[HIGH_AMPLITUDE];
+
+            float lowWaveFreq = 0.01f + spectralCentroid * 0.02f;
+            float midWaveFreq = 0.02f + spectralCentroid * 0.03f;
+            float highWaveFreq = 0.03f + spectralCentroid * 0.04f;
+
+            float waveForceX = (float)(
+                Math.Sin(time * lowWaveFreq + particle.Y * 0.005f) * lowWaveAmplitude +
+                Math.Sin(time * midWaveFreq + particle.Y * 0.01f) * midWaveAmplitude +
+                Math.Sin(time * highWaveFreq + particle.Y * 0.02f) * highWaveAmplitude
+            );
+
+            float waveForceY = (float)(
+                Math.Cos(time * lowWaveFreq + particle.X * 0.005f) * lowWaveAmplitude +
+                Math.Cos(time * midWaveFreq + particle.X * 0.01f) * midWaveAmplitude +
+                Math.Cos(time * highWaveFreq + particle.X * 0.02f) * highWaveAmplitude
+            );
+
+            particle.VelocityX += waveForceX * deltaTime;
+            particle.VelocityY += waveForceY * deltaTime;
+
+            float spiralForce = context.TotalEnergy * sensitivity * parameters[SWIRL];
+            float spiralAngle = (float)time * 2.0f + particle.Life;
+            particle.VelocityX += (float)Math.Cos(spiralAngle) * spiralForce * deltaTime;
+            particle.VelocityY += (float)Math.Sin(spiralAngle) * spiralForce * deltaTime;
+
+            if (context.BeatImpulse)
+            {
+                float ripple = AudioVisualizer.BEAT_IMPULSE * parameters[BEAT_RIPPLE] * (0.5f + context.LowEnergy) * sensitivity;
+                particle.VelocityY += (float)Math.Sin(particle.X * 0.02f + time * 4.0f) * ripple;
+            }
+        }
+    }
+
+    public sealed class OscilloscopeMode : IVisualizationMode
+    {
+        private const int AMPLITUDE = 0;
+        private const int TRACKING = 1;
+        private const int JITTER = 2;
+        private const int BEAT_KICK = 3;
+
+        public string Name => "Oscilloscope";
+        public string Overlay => "scope";
+
+        public ModeParameter[] Parameters { get; } =
+        {
+            new ModeParameter("amplitude", "Amplitude", 0.05f, 0.5f, 0.35f),
+            new ModeParameter("tracking", "Tracking", 1, 20, 8),
+            new ModeParameter("jitter", "Jitter", 0, 100, 20),
+            new ModeParameter("beatKick", "Beat Kick", 0, 3, 1),
+        };
+
+        // Spawn along the trace so new particles do not streak in from the centre
+        public void Spawn(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            particle.X = context.Random.NextSingle() * context.ViewportWidth;
+            particle.Y = context.ViewportHeight / 2 + context.SampleWaveform(particle.X / context.ViewportWidth) * context.ViewportHeight * parameters[AMPLITUDE];
+        }
+
+        public void Update(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            float deltaTime = (float)context.DeltaTime;
+            float sensitivity = context.Sensitivity;
+            float sample = context.SampleWaveform(particle.X / context.ViewportWidth);
+            float amplitude = context.ViewportHeight * parameters[AMPLITUDE] * sensitivity;
+            float targetY = context.ViewportHeight / 2 + sample * amplitude;
+
+            particle.VelocityY += (targetY - particle.Y) * parameters[TRACKING] * deltaTime;
+            particle.VelocityX += (20.0f + Math.Abs(sample) * 400.0f * sensitivity) * deltaTime;
+
+            float jitter = context.HighEnergy * sensitivity * parameters[JITTER];
+            particle.VelocityY += ((float)context.Random.NextDouble() - 0.5f) * jitter * deltaTime;
+
+            if (context.BeatImpulse)
+            {
+                particle.VelocityY += Math.Sign(sample) * AudioVisualizer.BEAT_IMPULSE * parameters[BEAT_KICK] * (0.5f + context.LowEnergy) * sensitivity;
+            }
+        }
+    }
+
+    public enum AudioFeature
+    {
+        None,
+        Total,
+        Low,
+        Mid,
+        High,
+        Centroid,
+        Beat,
+        Rms,
+        Loudness,
+        Flatness,
+        Rolloff,
+        Spread,
+        Flux,
+        ZeroCrossingRate,
+    }
+
+    public enum ForceType
+    {
+        Radial,
+        Swirl,
+        Wave,
+        Jitter,
+    }
+
+    public class ModeDefinition
+    {
+        public string Name { get; set; }
+        public string Spawn { get; set; }
+        public ForceDefinition[] Forces { get; set; }
+    }
+
+    public class ForceDefinition
+    {
+        public string Type { get; set; }
+        public string Label { get; set; }
+        public float Strength { get; set; }
+        public string Bind { get; set; }
+        public float? Min { get; set; }
+        public float? Max { get; set; }
+        public float Frequency { get; set; } = 1.0f;
+        public float Scale { get; set; } = 0.01f;
+    }
+
+    // A mode described by JSON instead of code, e.g.
+    //
+    //   { "name": "Pulse Swirl", "spawn": "center", "forces": [
+    //       { "type": "radial", "strength": 80, "bind": "total" },
+    //       { "type": "swirl", "strength": 40, "bind": "mid" },
+    //       { "type": "wave", "strength": 60, "bind": "low", "frequency": 2, "scale": 0.01 },
+    //       { "type": "jitter", "strength": 20, "bind": "high" } ] }
+    //
+    // radial pushes away from the centre (negative pulls in), swirl pushes
+    // around it, wave adds a sin/cos field that moves with time (frequency) and
+    // position (scale), and jitter adds noise. Each strength is multiplied by
+    // the bound feature and the sensitivity. Features are none, total, low, mid,
+    // high, centroid, beat, rms, loudness (0 at -70 LUFS up to 1 at 0 LUFS),
+    // flatness, rolloff (on the centroid's 20 Hz to 20 kHz log axis), spread
+    // (1 at 10 kHz), flux and zeroCrossingRate. Beat-bound forces
+    // are one-off kicks on the beat rather than forces applied over time.
+    // Every strength becomes a mode parameter, so the usual sliders appear
+    // for it.
+    public sealed class ForceFieldMode : IVisualizationMode
+    {
+        public const int MAX_FORCES = 16;
+        private const int MAX_NAME_LENGTH = 40;
+
+        private static readonly JsonSerializerOptions DefinitionJsonOptions = new JsonSerializerOptions
+        {
+            PropertyNameCaseInsensitive = true,
+            ReadCommentHandling = JsonCommentHandling.Skip,
+            AllowTrailingCommas = true,
+        };
+
+        private readonly ForceDefinition[] _forces;
+        private readonly ForceType[] _types;
+        private readonly AudioFeature[] _bindings;
+        private readonly bool _scatter;
+
+        private ForceFieldMode(string name, bool scatter, ForceDefinition[] forces, ForceType[] types, AudioFeature[] bindings, ModeParameter[] parameters)
+        {
+            Name = name;
+            _scatter = scatter;
+            _forces = forces;
+            _types = types;
+            _bindings = bindings;
+            Parameters = parameters;
+        }
+
+        public string Name { get; }
+        public ModeParameter[] Parameters { get; }
+
+        // Throws FormatException with a message meant for whoever wrote the JSON
+        public static ForceFieldMode Parse(string json)
+        {
+            ModeDefinition definition;
+            try
+            {
+                definition = JsonSerializer.Deserialize<ModeDefinition>(json, DefinitionJsonOptions);
+            }
+            catch (JsonException error)
+            {
+                throw new FormatException($"Invalid JSON: {error.Message}");
+            }
+
+            if (definition == null)
+                throw new FormatException("The definition is empty");
+
+            string name = definition.Name?.Trim();
+            if (string.IsNullOrEmpty(name) || name.Length > MAX_NAME_LENGTH)
+                throw new FormatException($"name must be 1 to {MAX_NAME_LENGTH} characters");
+
+            bool scatter;
+            switch (definition.Spawn?.ToLowerInvariant())
+            {
+                case null:
+                case "center":
+                    scatter = false;
+                    break;
+                case "scatter":
+                    scatter = true;
+                    break;
+                default:
+                    throw new FormatException($"Unknown spawn \"{definition.Spawn}\", expected center or scatter");
+            }
+
+            ForceDefinition[] forces = definition.Forces;
+            if (forces == null || forces.Length == 0 || forces.Length > MAX_FORCES)
+                throw new FormatException($"forces must list 1 to {MAX_FORCES} forces");
+
+            var types = new ForceType[forces.Length];
+            var bindings = new AudioFeature[forces.Length];
+            var parameters = new ModeParameter[forces.Length];
+            for (int i = 0; i < forces.Length; i++)
+            {
+                ForceDefinition force = forces[i];
+                if (force == null)
+                    throw new FormatException($"Force {i + 1} is empty");
+                if (!Enum.TryParse(force.Type, true, out types[i]) || !Enum.IsDefined(types[i]))
+                    throw new FormatException($"Force {i + 1} has unknown type \"{force.Type}\", expected radial, swirl, wave or jitter");
+                if (!Enum.TryParse(force.Bind ?? nameof(AudioFeature.None), true, out bindings[i]) || !Enum.IsDefined(bindings[i]))
+                    throw new FormatException($"Force {i + 1} is bound to unknown feature \"{force.Bind}\"");
+                if (!float.IsFinite(force.Strength) || !float.IsFinite(force.Frequency) || !float.IsFinite(force.Scale))
+                    throw new FormatException($"Force {i + 1} has a non-finite number");
+
+                // Without explicit limits the slider runs from zero to twice the strength
+                float min = force.Min ?? Math.Min(0, force.Strength * 2);
+                float max = force.Max ?? Math.Max(0, force.Strength * 2);
+                if (!(min < max) || force.Strength < min || force.Strength > max)
+                    throw new FormatException($"Force {i + 1} needs min < max with the strength between them");
+
+                string label = string.IsNullOrWhiteSpace(force.Label) ? $"{types[i]} {i + 1}" : force.Label.Trim();
+                parameters[i] = new ModeParameter($"force{i}", label, min, max, force.Strength);
+            }
+
+            return new ForceFieldMode(name, scatter, forces, types, bindings, parameters);
+        }
+
+        public void Spawn(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            if (!_scatter)
+            {
+                context.SpawnNearCenter(ref particle);
+                return;
+            }
+
+            particle.X = context.Random.NextSingle() * context.ViewportWidth;
+            particle.Y = context.Random.NextSingle() * context.ViewportHeight;
+        }
+
+        public void Update(ref Particle particle, ModeContext context, float[] parameters)
+        {
+            float dx = particle.X - context.ViewportWidth / 2;
+            float dy = particle.Y - context.ViewportHeight / 2;
+            float distance = (float)Math.Sqrt(dx * dx + dy * dy);
+            float deltaTime = (float)context.DeltaTime;
+
+            for (int i = 0; i < _forces.Length; i++)
+            {
+                float magnitude = parameters[i] * context.GetFeature(_bindings[i]) * context.Sensitivity;
+                if (magnitude == 0)
+                    continue;
+
+                if (_bindings[i] != AudioFeature.Beat)
+                    magnitude *= deltaTime;
+
+                switch (_types[i])
+                {
+                    case ForceType.Radial:
+                        if (distance > 0)
+                        {
+                            particle.VelocityX += (dx / distance) * magnitude;
+                            particle.VelocityY += (dy / distance) * magnitude;
+                        }
+                        break;
+                    case ForceType.Swirl:
+                        if (distance > 0)
+                        {
+                            particle.VelocityX += (-dy / distance) * magnitude;
+                            particle.VelocityY += (dx / distance) * magnitude;
+                        }
+                        break;
+                    case ForceType.Wave:
+                        double phase = context.Time * _forces[i].Frequency;
+                        particle.VelocityX += (float)Math.Sin(phase + particle.Y * _forces[i].Scale) * magnitude;
+                        particle.VelocityY += (float)Math.Cos(phase + particle.X * _forces[i].Scale) * magnitude;
+                        break;
+                    case ForceType.Jitter:
+                        particle.VelocityX += (context.Random.NextSingle() - 0.5f) * magnitude;
+                        particle.VelocityY += (context.Random.NextSingle() - 0.5f) * magnitude;
+                        break;
+                }
+            }
+        }
+    }
+
+    // xorshift32, used instead of System.Random so the generator state can be saved and restored
+    public class SeededRandom
+    {
+        private uint _state;
+
+        public SeededRandom(uint seed)
+        {
+            State = seed;
+        }
+
+        public uint State
+        {
+            get => _state;
+            set => _state = value == 0 ? 0x9E3779B9u : value;
+        }
+
+        public uint NextUInt()
+        {
+            uint x = _state;
+            x ^= x << 13;
+            x ^= x >> 17;
+            x ^= x << 5;
+            _state = x;
+            return x;
+        }
+
+        public float NextSingle() => (NextUInt() >> 8) * (1.0f / 16777216.0f);
+        public double NextDouble() => NextUInt() * (1.0 / 4294967296.0);
+    }
+
+    // JSExport can only marshal Span<byte/int/double>, so float frames are exchanged
+    // through native memory that JS reads and writes as a Float32Array view.
+    public sealed unsafe class SharedFloatBuffer
+    {
+        private readonly float* _data;
+
+        public SharedFloatBuffer(int length)
+        {
+            Length = length;
+            _data = (float*)NativeMemory.AllocZeroed((nuint)length, sizeof(float));
+        }
+
+        public int Length { get; }
+        public int Address => (int)_data;
+
+        public Span<float> AsSpan() => new Span<float>(_data, Length);
+        public Span<float> AsSpan(int start, int length) => AsSpan().Slice(start, length);
+    }
+
+    public readonly struct PointerInput
+    {
+        public PointerInput(float x, float y, bool pressed)
+        {
+            X = x;
+            Y = y;
+            Pressed = pressed;
+        }
+
+        public float X { get; }
+        public float Y { get; }
+        public bool Pressed { get; }
     }
 
     public struct Particle
@@ -1,41 +1,283 @@
+import { createWebGLParticleRenderer } from "./webgl-renderer.js";
+import { createWebMWriter } from "./webm-writer.js";
+import {
+  createPostEffectSettings,
+  drawFade,
+  drawFrame,
+  drawHud,
+  ENERGY_BANDS,
+  getPaletteStyle,
+  PALETTES,
+  PARTICLE_STRIDE,
+  POST_EFFECT_STAGES,
+  SCOPE_OVERLAY,
+  updateBeatPulse,
+} from "./renderer.js";
+
 let dotnetInstance = null;
+let dotnetRuntime = null;
 let canvas = null;
 let ctx = null;
 let audioContext = null;
 let analyser = null;
 let dataArray = null;
 let source = null;
+let analysisInput = null;
+let mediaElementSource = null;
+let channelSplitter = null;
+let waveformAnalysers = null;
 let isRunning = false;
 let animationId = null;
 let lastTime = 0;
+let viewportWidth = 800;
+let viewportHeight = 600;
+let pixelRatio = 1;
+
+const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+const SPECTRUM_SCALES = {
+  linear: "Linear",
+  log: "Logarithmic",
+  mel: "Mel",
+  "third-octave": "1/3 Octave",
+};
+const SCALED_BAND_COUNTS = [32, 64, 128, 256];
+const MIN_FREQUENCY_HZ = 20;
+const MAX_FREQUENCY_HZ = 20000;
+const DEFAULT_SAMPLE_RATE = 44100;
+// Where the low, mid and high bands meet, shared with the simulation
+const LOW_MID_CROSSOVER_HZ = 250;
+const MID_HIGH_CROSSOVER_HZ = 4000;
+const CANVAS_ASPECT_RATIO = 0.75;
+const MAX_CANVAS_HEIGHT_RATIO = 0.8;
+const DEFAULT_SENSITIVITY = 1.0;
+const MIN_SENSITIVITY = 0.1;
+const MAX_SENSITIVITY = 3.0;
+const DEFAULT_BAND_GAIN = 1.0;
+const DEFAULT_INPUT_GAIN = 1.0;
+// Times are in seconds. The simulation smooths each band with its own
+// envelope followers, so the analyser's smoothing is switched off.
+const DEFAULT_BAND_DYNAMICS = {
+  attack: 0.01,
+  release: 0.15,
+  normalization: 1.0,
+  adaptation: 8.0,
+};
+// BandConditioner's limits, so the stored values match what it applies
+const MAX_ENVELOPE_TIME = 2.0;
+const MIN_ADAPTATION_TIME = 0.5;
+const MAX_ADAPTATION_TIME = 60.0;
+const ANALYSER_SMOOTHING = 0;
+const MICROPHONE_PROCESSING = {
+  echoCancellation: "Echo Cancellation",
+  noiseSuppression: "Noise Suppression",
+  autoGainControl: "Auto Gain",
+};
+const DEFAULT_PARTICLE_COUNT = 200;
+const MIN_PARTICLE_COUNT = 50;
+const FRAME_BUDGET_MS = 12;
+const ADAPTIVE_INTERVAL_MS = 500;
+const WAVEFORM_FFT_SIZE = 2048;
+const WAVEFORM_SAMPLES = 512;
+const EXPORT_FPS = 60;
+const RECORDING_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+];
+// Offline renders are encoded with WebCodecs, trying the codecs in order
+const EXPORT_VIDEO_CODECS = [
+  { codec: "vp09.00.10.08", codecId: "V_VP9" },
+  { codec: "vp8", codecId: "V_VP8" },
+];
+const EXPORT_VIDEO_BITRATE = 8000000;
+const EXPORT_AUDIO_BITRATE = 128000;
+const EXPORT_KEYFRAME_INTERVAL = EXPORT_FPS * 2;
+const EXPORT_AUDIO_CHUNK_SECONDS = 0.1;
+const MAX_EXPORT_ENCODE_QUEUE = 4;
+const EXPORT_QUEUE_POLL_MS = 50;
+const MAX_EXPORT_SECONDS = 15 * 60;
+const FIXED_TIMESTEP = 1 / 120;
+const EXPORT_SEED = 0x5eed;
+const MAX_SESSION_FRAMES = EXPORT_FPS * 180;
+const PARTICLE_RENDERERS = {
+  webgl: "WebGL2",
+  canvas: "Canvas 2D",
+};
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = "audioVisualizer.presets";
+const ACTIVE_PRESET_STORAGE_KEY = "audioVisualizer.activePreset";
+const PRESET_HASH_KEY = "preset";
+const DEFAULT_PRESET_NAME = "Default";
+const MAX_PRESET_NAME_LENGTH = 40;
+// Order of the scalar values returned by GetFeatures, followed by the chroma bins
+const FEATURE_LAYOUT = [
+  "rms",
+  "loudness",
+  "flatness",
+  "rolloff",
+  "spread",
+  "flux",
+  "zeroCrossingRate",
+];
+const CHROMA_BINS = 12;
+
+let bridgeMode = "json";
+let frequencyBufferAddress = 0;
+let particleBufferAddress = 0;
+let waveformBufferAddress = 0;
+let frequencyView = null;
+let particleView = null;
+let waveformView = null;
+let frequencyFrame = new Float32Array(0);
+const waveformFrame = new Float32Array(WAVEFORM_SAMPLES);
+const liveWaveforms = {
+  left: new Float32Array(WAVEFORM_FFT_SIZE),
+  right: new Float32Array(WAVEFORM_FFT_SIZE),
+};
+let leftWaveform = liveWaveforms.left;
+let rightWaveform = liveWaveforms.right;
+
+const audioInput = {
+  kind: "none",
+  state: "idle",
+  error: null,
+  stream: null,
+};
+let sourceRequestId = 0;
+let inputGain = DEFAULT_INPUT_GAIN;
+// Browser voice processing is off by default because it flattens music
+const microphoneSettings = {
+  deviceId: "",
+  echoCancellation: false,
+  noiseSuppression: false,
+  autoGainControl: false,
+};
+// What the open microphone stream was requested with, for rolling back a
+// setting the device rejects
+let openMicrophoneSettings = null;
+let currentAudioFile = null;
+const REPEAT_MODES = ["off", "all", "one"];
+const playlist = {
+  tracks: [],
+  order: [],
+  position: -1,
+  shuffle: false,
+  repeat: "all",
+  modePerTrack: false,
+};
+let mediaRecorder = null;
+let recordingDestination = null;
+let isOfflineRendering = false;
+let offlineExportCancelled = false;
+let maxFrequencyBands = 0;
+
+const spectrumSettings = { fftSize: 2048, scale: "log", bandCount: 128 };
+let spectrumLayout = [];
+
+// Filled from the simulation's mode registry once it has loaded
+let visualizationModes = [];
+let currentMode = 0;
+let sensitivity = DEFAULT_SENSITIVITY;
+const bandGains = {
+  low: DEFAULT_BAND_GAIN,
+  mid: DEFAULT_BAND_GAIN,
+  high: DEFAULT_BAND_GAIN,
+};
+const bandDynamics = { ...DEFAULT_BAND_DYNAMICS };
+let particleCount = DEFAULT_PARTICLE_COUNT;
+let effectiveParticleCount = DEFAULT_PARTICLE_COUNT;
+let maxParticleCount = DEFAULT_PARTICLE_COUNT;
+let adaptiveParticles = false;
+let frameCostAverage = 0;
+let lastAdaptiveAdjustment = 0;
+
+let fixedTimestep = false;
+let sessionRecording = null;
+let lastSession = null;
+let isReplayingSession = false;
+
+let postEffects = createPostEffectSettings();
+let beatPulse = 0;
 
-let mouseX = 0;
-let mouseY = 0;
+const DEFAULT_PALETTE = "spectrum";
+const MIN_PALETTE_STOPS = 2;
+const MAX_PALETTE_STOPS = 8;
+let paletteName = DEFAULT_PALETTE;
+let activePalette = PALETTES[DEFAULT_PALETTE];
+let customPaletteStops = PALETTES.custom.stops;
+
+let activePreset = createDefaultPreset();
+
+let particleRenderer = "webgl";
+let webglRenderer = null;
+let simulationWorker = null;
+let workerFramePending = false;
+let workerPendingDelta = 0;
+let workerFrameCost = 0;
+let workerFeatures = null;
+let workerRequestId = 0;
+const workerRequests = new Map();
+
+const HUD_SMOOTHING = 0.1;
+let hudVisible = false;
+let hudCanvas = null;
+let hudCtx = null;
+// Timings are running averages in milliseconds; the rest is the latest frame
+const hudStats = {
+  fps: 0,
+  updateTime: 0,
+  renderTime: 0,
+  activeParticles: 0,
+  centroidHz: 0,
+  energies: { total: 0, low: 0, mid: 0, high: 0 },
+};
+
+let mouseX = -1;
+let mouseY = -1;
 let mousePressed = false;
+const activePointers = new Map();
 
 async function initializeWasm() {
   try {
-    console.log("Loading WebAssembly module...");
+    if (shouldUseRenderWorker()) {
+      await initializeRenderWorker();
+    }
+
+    if (!simulationWorker) {
+      console.log("Loading WebAssembly module...");
 
-    const { dotnet } = await import("/_framework/dotnet.js");
-    const api = await dotnet.create();
+      const { dotnet } = await import("/_framework/dotnet.js");
+      const api = await dotnet.create();
+
+      const assemblyExports = await api.getAssemblyExports(
+        "AudioVisualizerWasm",
+      );
+      dotnetInstance = assemblyExports.AudioVisualizerWasm.Program;
+      dotnetRuntime = api;
 
-    const assemblyExports = await api.getAssemblyExports("AudioVisualizerWasm");
-    dotnetInstance = assemblyExports.AudioVisualizerWasm.Program;
+      initializeSharedBridge();
+      maxParticleCount = dotnetInstance.GetMaxParticleCount();
+      maxFrequencyBands = dotnetInstance.GetFrequencyBufferLength();
+      loadVisualizationModes(dotnetInstance.GetModes());
+    }
+    applySpectrumSettings();
 
     console.log("Audio Visualizer WebAssembly module loaded successfully");
 
     initializeCanvas();
     setupEventHandlers();
+    setParticleRenderer(particleRenderer);
 
     try {
-      dotnetInstance.SetVisualizationMode(0);
-      dotnetInstance.SetSensitivity(1.0);
+      resetAudioControls();
+      resetParticleControls();
+      applyPreset(getInitialPreset());
     } catch (error) {
       console.warn("Could not set default WebAssembly values:", error);
     }
 
     startVisualization();
+    checkBeatDetector();
 
     const startBtn = document.getElementById("startBtn");
     if (startBtn && startBtn.textContent.includes("Loading")) {
@@ -52,101 +294,3028 @@ async function initializeWasm() {
   }
 }
 
-function initializeCanvas() {
-  canvas = document.getElementById("visualizerCanvas");
-  ctx = canvas.getContext("2d");
+// The worker is used wherever the canvas can be handed over to it. ?worker=0
+// keeps the simulation on the main thread, which runBridgeBenchmark needs.
+function shouldUseRenderWorker() {
+  return (
+    new URLSearchParams(window.location.search).get("worker") !== "0" &&
+    typeof Worker === "function" &&
+    typeof HTMLCanvasElement.prototype.transferControlToOffscreen === "function"
+  );
+}
+
+async function initializeRenderWorker() {
+  const element = document.getElementById("visualizerCanvas");
+  const worker = new Worker(new URL("./render-worker.js", import.meta.url), {
+    type: "module",
+  });
+
+  try {
+    console.log("Loading WebAssembly module in render worker...");
+    const offscreen = element.transferControlToOffscreen();
+
+    const ready = await new Promise((resolve, reject) => {
+      worker.onmessage = (e) => {
+        if (e.data.type === "ready") {
+          resolve(e.data);
+        } else if (e.data.type === "error") {
+          reject(new Error(e.data.message));
+        }
+      };
+      worker.onerror = (e) => reject(new Error(e.message));
+      worker.postMessage(
+        {
+          type: "init",
+          canvas: offscreen,
+          width: viewportWidth,
+          height: viewportHeight,
+          ratio: pixelRatio,
+        },
+        [offscreen],
+      );
+    });
+
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (e) => {
+      console.error("Render worker error:", e.message);
+      workerFramePending = false;
+
+      // Nothing will answer the requests that were in flight
+      const error = new Error(`Render worker error: ${e.message}`);
+      workerRequests.forEach(({ reject }) => reject(error));
+      workerRequests.clear();
+    };
+
+    simulationWorker = worker;
+    maxParticleCount = ready.maxParticleCount;
+    maxFrequencyBands = ready.maxFrequencyBands;
+    loadVisualizationModes(ready.modes);
+  } catch (error) {
+    console.warn("Render worker unavailable, using the main thread:", error);
+    worker.terminate();
+
+    // A canvas that has been transferred can no longer give a 2D context
+    element.replaceWith(element.cloneNode(false));
+  }
+}
 
-  ctx.globalCompositeOperation = "lighter";
+function handleWorkerMessage(e) {
+  const message = e.data;
 
-  canvas.width = 800;
-  canvas.height = 600;
+  switch (message.type) {
+    case "rendered":
+      workerFramePending = false;
+      if (!message.error) {
+        workerFrameCost = message.frameCost;
+        workerFeatures = message.features;
+        if (message.stats) {
+          updateHudStats(message.stats);
+        }
+      }
+      settleWorkerRequest(message);
+      break;
+    case "result":
+      settleWorkerRequest(message);
+      break;
+    case "renderer": {
+      const requested = particleRenderer;
+      particleRenderer = message.renderer;
+      syncParticleRendererSelect(requested);
+      break;
+    }
+  }
 }
 
-function setupEventHandlers() {
-  document.getElementById("startBtn").addEventListener("click", startAudio);
+// Posts a message the worker answers with the same id, and resolves with the
+// value of that answer
+function requestWorker(message, transfer = []) {
+  const id = ++workerRequestId;
+  return new Promise((resolve, reject) => {
+    workerRequests.set(id, { resolve, reject });
+    simulationWorker.postMessage({ ...message, id }, transfer);
+  });
+}
 
-  document
-    .getElementById("audioUpload")
-    .addEventListener("change", handleFileUpload);
+function settleWorkerRequest({ id, value, error }) {
+  const request = workerRequests.get(id);
+  if (!request) return;
 
-  document
-    .getElementById("resetBtn")
-    .addEventListener("click", resetVisualizer);
+  workerRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(value);
+  }
+}
+
+function postWorkerFrame(frequencyData, deltaTime, pointer) {
+  // Skip frames while the worker is busy, but keep the time they covered
+  workerPendingDelta += deltaTime;
+  if (workerFramePending) return;
+
+  const frameDelta = Math.min(workerPendingDelta, 0.1);
+  workerPendingDelta = 0;
+  workerFramePending = true;
 
-  mouseX = canvas.width / 2;
-  mouseY = canvas.height / 2;
-  mousePressed = false;
+  sendWorkerFrame(frequencyData, frameDelta, pointer).catch((error) =>
+    console.warn("Render worker frame failed:", error.message),
+  );
 }
 
-async function startAudio() {
+// Resolves once the worker has drawn the frame, with the drawn VideoFrame when
+// capture holds its VideoFrame options
+function sendWorkerFrame(frequencyData, deltaTime, pointer, capture = null) {
+  const frequency = frequencyData.slice();
+  const waveform = new Float32Array(WAVEFORM_SAMPLES);
+  downmixWaveform(waveform);
+
+  const overlay = getModeOverlay(currentMode);
+  const showScopes = overlay === SCOPE_OVERLAY;
+  const left = showScopes ? leftWaveform.slice() : null;
+  const right = showScopes ? rightWaveform.slice() : null;
+  const { x, y, pressed } = pointer || { x: -1, y: -1, pressed: false };
+
+  if (sessionRecording) {
+    recordSessionFrame(frequency, waveform, deltaTime, [x, y, pressed]);
+  }
+
+  return requestWorker(
+    {
+      type: "frame",
+      frequency,
+      waveform,
+      leftWaveform: left,
+      rightWaveform: right,
+      deltaTime,
+      pointer: [x, y, pressed],
+      mode: currentMode,
+      modeLabel: getModeName(currentMode),
+      overlay,
+      sensitivity,
+      effects: postEffects,
+      palette: activePalette,
+      hud: hudVisible,
+      capture,
+    },
+    [
+      frequency.buffer,
+      waveform.buffer,
+      ...(showScopes ? [left.buffer, right.buffer] : []),
+    ],
+  );
+}
+
+function isSimulationReady() {
+  return dotnetInstance !== null || simulationWorker !== null;
+}
+
+function initializeSharedBridge() {
+  if (typeof dotnetRuntime.localHeapViewF32 !== "function") {
+    console.warn("Shared memory views unavailable, using JSON bridge");
+    bridgeMode = "json";
+    return;
+  }
+
+  frequencyBufferAddress = dotnetInstance.GetFrequencyBufferAddress();
+  particleBufferAddress = dotnetInstance.GetParticleBufferAddress();
+  waveformBufferAddress = dotnetInstance.GetWaveformBufferAddress();
+  bridgeMode = "shared";
+}
+
+function getHeapView(view, address, length) {
+  const heap = dotnetRuntime.localHeapViewF32().buffer;
+  if (
+    view &&
+    view.buffer === heap &&
+    view.byteOffset === address &&
+    view.length === length
+  ) {
+    return view;
+  }
+  return new Float32Array(heap, address, length);
+}
+
+function acquireFrequencyFrame(length = spectrumLayout.length) {
+  if (!dotnetInstance || bridgeMode !== "shared") {
+    if (frequencyFrame.length !== length) {
+      frequencyFrame = new Float32Array(length);
+    }
+    return frequencyFrame;
+  }
+
+  frequencyView = getHeapView(frequencyView, frequencyBufferAddress, length);
+  return frequencyView;
+}
+
+function commitFrequencyFrame(frequencyData) {
+  if (bridgeMode === "shared") {
+    dotnetInstance.CommitAudioData(frequencyData.length);
+  } else {
+    dotnetInstance.UpdateAudioData(JSON.stringify(Array.from(frequencyData)));
+  }
+}
+
+function acquireWaveformFrame() {
+  if (!dotnetInstance || bridgeMode !== "shared") {
+    return waveformFrame;
+  }
+
+  waveformView = getHeapView(
+    waveformView,
+    waveformBufferAddress,
+    WAVEFORM_SAMPLES,
+  );
+  return waveformView;
+}
+
+function commitWaveformFrame(waveformData) {
+  if (bridgeMode === "shared") {
+    dotnetInstance.CommitWaveformData(waveformData.length);
+  } else {
+    dotnetInstance.UpdateWaveformData(JSON.stringify(Array.from(waveformData)));
+  }
+}
+
+function readParticleData() {
+  if (bridgeMode === "shared") {
+    const particleCount = dotnetInstance.WriteParticleData();
+    particleView = getHeapView(
+      particleView,
+      particleBufferAddress,
+      particleCount * PARTICLE_STRIDE,
+    );
+    return particleView;
+  }
+
+  return JSON.parse(dotnetInstance.GetParticleData());
+}
+
+function runBridgeBenchmark(frames = 600) {
+  if (simulationWorker) {
+    throw new Error(
+      "The bridge benchmark needs the simulation on the main thread, load the page with ?worker=0",
+    );
+  }
+  if (!dotnetInstance) {
+    throw new Error("WebAssembly module is not loaded yet");
+  }
+
+  const previousMode = bridgeMode;
+  const modes = frequencyBufferAddress ? ["json", "shared"] : ["json"];
+  const results = {};
+
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    setupAudioAnalysis(stream);
+    for (const mode of modes) {
+      bridgeMode = mode;
+      let checksum = 0;
+      const start = performance.now();
+
+      for (let frame = 0; frame < frames; frame++) {
+        const frequencyData = acquireFrequencyFrame();
+        for (let i = 0; i < frequencyData.length; i++) {
+          frequencyData[i] = (Math.sin(frame * 0.1 + i * 0.2) + 1) * 0.5;
+        }
+        commitFrequencyFrame(frequencyData);
+        dotnetInstance.UpdateParticles(1 / 60, mouseX, mouseY, false);
+        checksum += readParticleData()[0];
+      }
+
+      const totalMs = performance.now() - start;
+      results[mode] = { totalMs, frameMs: totalMs / frames, checksum };
+    }
+  } finally {
+    bridgeMode = previousMode;
+  }
+
+  if (results.json && results.shared) {
+    results.speedup = results.json.frameMs / results.shared.frameMs;
+  }
+
+  console.table(results);
+  return results;
+}
+
+// Runs the beat detector over synthetic click tracks at known tempos and
+// throws if any of them misses a beat or lands outside the BPM tolerance
+async function runBeatDetectorCheck(
+  tempos = [60, 90, 120, 140, 180],
+  beats = 32,
+) {
+  if (!isSimulationReady()) {
+    throw new Error("WebAssembly module is not loaded yet");
+  }
+
+  const results = [];
+  for (const bpm of tempos) {
+    results.push(JSON.parse(await callSimulation("RunClickTrack", bpm, beats)));
+  }
+  console.table(results);
+
+  const failed = results.filter((result) => !result.Passed);
+  if (failed.length > 0) {
+    throw new Error(
+      `Beat detection failed at ${failed.map((result) => result.ExpectedBpm).join(", ")} BPM`,
+    );
+  }
+  return results;
+}
 
-    document.getElementById("startBtn").textContent = "Listening...";
-    document.getElementById("startBtn").disabled = true;
+// Runs the click-track check once at startup so a beat detection regression
+// shows up as an error on every load rather than only when someone runs it
+async function checkBeatDetector() {
+  try {
+    await runBeatDetectorCheck();
   } catch (error) {
-    console.error("Microphone access denied:", error);
-    alert(
-      "Please allow microphone access to use the audio visualizer, or load an audio file instead.",
+    console.error("Beat detector self-check failed:", error);
+  }
+}
+
+// Every call that changes simulation state goes through here so a session
+// recording can reproduce it at the same frame during replay. In worker mode
+// the result is a promise; failures are logged here and still reject it.
+function invokeSimulation(method, ...args) {
+  if (!isSimulationReady() || isReplayingSession) return null;
+
+  if (sessionRecording) {
+    sessionRecording.pendingEvents.push({ method, args });
+  }
+
+  const result = callSimulation(method, ...args);
+  if (result instanceof Promise) {
+    result.catch((error) =>
+      console.warn(`Simulation call ${method} failed:`, error.message),
     );
   }
+  return result;
 }
 
-let audioElement = null;
+// Calls the simulation wherever it runs, returning a promise of the result in
+// worker mode
+function callSimulation(method, ...args) {
+  if (simulationWorker) {
+    return requestWorker({ type: "call", method, args });
+  }
+  return dotnetInstance[method](...args);
+}
 
-function handleFileUpload(e) {
-  const file = e.target.files[0];
-  if (file) {
-    if (!dotnetInstance) {
-      alert("WebAssembly module is still loading. Please wait and try again.");
-      e.target.value = "";
-      return;
+// Runs onResult with a call's result once it is known. A failed worker call
+// has already been logged by invokeSimulation.
+function whenApplied(result, onResult) {
+  if (result instanceof Promise) {
+    result.then(onResult, () => {});
+  } else {
+    onResult(result);
+  }
+}
+
+function setFixedTimestep(enabled) {
+  fixedTimestep = enabled;
+  invokeSimulation("SetFixedTimestep", enabled ? FIXED_TIMESTEP : 0);
+
+  const toggle = document.getElementById("fixedStepToggle");
+  if (toggle) {
+    toggle.checked = fixedTimestep;
+  }
+}
+
+function setSimulationSeed(seed) {
+  invokeSimulation("SetSeed", seed | 0);
+  invokeSimulation("ResetSimulation");
+}
+
+async function saveSimulationState() {
+  if (!isSimulationReady()) return null;
+  return JSON.parse(await callSimulation("SaveState"));
+}
+
+async function loadSimulationState(state) {
+  if (!isSimulationReady() || isReplayingSession) return false;
+  const snapshot = typeof state === "string" ? JSON.parse(state) : state;
+  if (!(await invokeSimulation("LoadState", JSON.stringify(snapshot)))) {
+    console.warn("Rejected simulation state");
+    return false;
+  }
+
+  currentMode = snapshot.VisualizationMode;
+  sensitivity = snapshot.Sensitivity;
+  bandGains.low = snapshot.LowGain;
+  bandGains.mid = snapshot.MidGain;
+  bandGains.high = snapshot.HighGain;
+  if (snapshot.BandConditioner) {
+    bandDynamics.attack = snapshot.BandConditioner.AttackTime;
+    bandDynamics.release = snapshot.BandConditioner.ReleaseTime;
+    bandDynamics.normalization = snapshot.BandConditioner.Normalization;
+    bandDynamics.adaptation = snapshot.BandConditioner.AdaptationTime;
+  }
+  particleCount = effectiveParticleCount = snapshot.ParticleCount;
+  fixedTimestep = snapshot.FixedTimestep > 0;
+  loadVisualizationModes(await callSimulation("GetModes"));
+
+  // The snapshot carries its own viewport and band layout, keep the live ones
+  invokeSimulation("SetViewport", viewportWidth, viewportHeight);
+  applySpectrumSettings();
+
+  syncAudioControls();
+  syncParticleControls();
+  updateVisualizationDisplay();
+
+  const toggle = document.getElementById("fixedStepToggle");
+  if (toggle) {
+    toggle.checked = fixedTimestep;
+  }
+  return true;
+}
+
+// The worker handles messages in order, so frames and calls sent after the
+// SaveState request are the ones that follow the starting snapshot
+async function startSessionRecording() {
+  if (
+    !isSimulationReady() ||
+    sessionRecording ||
+    isReplayingSession ||
+    isOfflineRendering
+  ) {
+    return false;
+  }
+
+  const recording = { state: null, frames: [], pendingEvents: [] };
+  sessionRecording = recording;
+  updateSessionControls();
+
+  try {
+    recording.state = await callSimulation("SaveState");
+  } catch (error) {
+    if (sessionRecording === recording) {
+      sessionRecording = null;
+      updateSessionControls();
     }
+    throw error;
+  }
+  return true;
+}
 
-    console.log("Loading audio file:", file.name);
-    audioElement = new Audio();
-    audioElement.src = URL.createObjectURL(file);
-    audioElement.crossOrigin = "anonymous";
-    audioElement.controls = true;
-    audioElement.loop = true;
+async function stopSessionRecording() {
+  if (!sessionRecording) return lastSession;
 
-    audioElement.addEventListener("loadeddata", () => {
-      console.log("Audio file loaded, setting up analysis");
-      setupAudioAnalysis(audioElement);
-      showAudioControls(file.name);
-      audioElement.play();
-    });
+  const recording = sessionRecording;
+  sessionRecording = null;
+  updateSessionControls();
+
+  const finalState = await callSimulation("SaveState");
+  if (recording.state === null) {
+    throw new Error("Session recording has no starting snapshot");
+  }
+
+  lastSession = {
+    state: recording.state,
+    frames: recording.frames,
+    finalState,
+  };
+  updateSessionControls();
+  return lastSession;
+}
+
+function finishSessionRecording() {
+  stopSessionRecording().catch((error) => {
+    console.error("Session recording failed:", error);
+    setSessionStatus(`Recording failed: ${error.message}`, true);
+  });
+}
+
+function recordSessionFrame(frequencyData, waveformData, deltaTime, pointer) {
+  sessionRecording.frames.push({
+    deltaTime,
+    frequency: frequencyData.slice(),
+    waveform: waveformData.slice(),
+    pointer,
+    events: sessionRecording.pendingEvents,
+  });
+  sessionRecording.pendingEvents = [];
+
+  if (sessionRecording.frames.length >= MAX_SESSION_FRAMES) {
+    // Finish after this frame has been simulated so finalState includes it
+    queueMicrotask(finishSessionRecording);
+  }
+}
+
+// Replays a recorded session from its starting snapshot. The live simulation
+// is restored afterwards; the promise resolves with the replayed end state and
+// whether it matches the state captured when recording stopped.
+async function replaySession(session = lastSession, { realtime = true } = {}) {
+  if (!isSimulationReady() || !session) {
+    throw new Error("No session to replay");
+  }
+  if (sessionRecording || isReplayingSession) {
+    throw new Error("A session is already being recorded or replayed");
+  }
+  if (isOfflineRendering) {
+    throw new Error("Sessions cannot be replayed during an offline render");
+  }
+
+  const previousMode = currentMode;
+  let previousState = null;
+
+  isRunning = false;
+  if (animationId) {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+  isReplayingSession = true;
+  updateSessionControls();
+
+  try {
+    previousState = await callSimulation("SaveState");
+    if (!(await callSimulation("LoadState", session.state))) {
+      throw new Error("Session snapshot was rejected");
+    }
 
-    audioElement.addEventListener("error", (error) => {
-      console.error("Error loading audio file:", error);
-      alert("Error loading audio file. Please try a different file.");
-      document.getElementById("startBtn").textContent = "Start Audio";
-      document.getElementById("startBtn").disabled = false;
+    for (const frame of session.frames) {
+      for (const { method, args } of frame.events) {
+        await callSimulation(method, ...args);
+      }
+      currentMode = await callSimulation("GetVisualizationMode");
+
+      const frequencyData = acquireFrequencyFrame(frame.frequency.length);
+      frequencyData.set(frame.frequency);
+      leftWaveform = frame.waveform;
+      rightWaveform = frame.waveform;
+
+      // Live worker frames may be skipped or merged, replayed ones may not
+      const [x, y, pressed] = frame.pointer;
+      if (simulationWorker) {
+        await sendWorkerFrame(frequencyData, frame.deltaTime, {
+          x,
+          y,
+          pressed,
+        });
+      } else {
+        renderFrame(frequencyData, frame.deltaTime, { x, y, pressed });
+      }
+
+      if (realtime) {
+        await new Promise((resolve) => requestAnimationFrame(resolve));
+      }
+    }
+
+    const finalState = await callSimulation("SaveState");
+    return {
+      state: JSON.parse(finalState),
+      matches: session.finalState ? finalState === session.finalState : null,
+    };
+  } finally {
+    leftWaveform = liveWaveforms.left;
+    rightWaveform = liveWaveforms.right;
+    try {
+      if (previousState !== null) {
+        await callSimulation("LoadState", previousState);
+      }
+    } catch (error) {
+      console.error("Could not restore the simulation after replay:", error);
+    }
+    currentMode = previousMode;
+    isReplayingSession = false;
+
+    // Controls may have moved while the replay had the simulation locked
+    applySimulationSettings();
+    updateSessionControls();
+    startVisualization();
+  }
+}
+
+function applySimulationSettings() {
+  invokeSimulation("SetViewport", viewportWidth, viewportHeight);
+  invokeSimulation("SetSensitivity", sensitivity);
+  invokeSimulation(
+    "SetBandGains",
+    bandGains.low,
+    bandGains.mid,
+    bandGains.high,
+  );
+  invokeSimulation(
+    "SetEnvelopeTimes",
+    bandDynamics.attack,
+    bandDynamics.release,
+  );
+  invokeSimulation(
+    "SetNormalization",
+    bandDynamics.normalization,
+    bandDynamics.adaptation,
+  );
+  invokeSimulation("SetFixedTimestep", fixedTimestep ? FIXED_TIMESTEP : 0);
+  applyParticleCount(
+    adaptiveParticles ? effectiveParticleCount : particleCount,
+  );
+  setVisualizationMode(currentMode);
+  applyModeParameters();
+  applySpectrumSettings();
+  syncPointers();
+}
+
+function initializeCanvas() {
+  canvas = document.getElementById("visualizerCanvas");
+
+  if (!simulationWorker) {
+    ctx = canvas.getContext("2d");
+    ctx.globalCompositeOperation = "lighter";
+  }
+
+  canvas.style.width = "100%";
+  canvas.style.maxWidth = "100%";
+
+  new ResizeObserver(resizeCanvas).observe(canvas.parentElement);
+  window.addEventListener("resize", resizeCanvas);
+  document.addEventListener("fullscreenchange", resizeCanvas);
+
+  resizeCanvas();
+}
+
+function resizeCanvas() {
+  const container = canvas.parentElement;
+  const isFullscreen = document.fullscreenElement === container;
+
+  const width = Math.max(1, Math.floor(container.clientWidth));
+  const height = isFullscreen
+    ? Math.max(1, Math.floor(container.clientHeight))
+    : Math.max(
+        1,
+        Math.floor(
+          Math.min(
+            width * CANVAS_ASPECT_RATIO,
+            window.innerHeight * MAX_CANVAS_HEIGHT_RATIO,
+          ),
+        ),
+      );
+  const ratio = window.devicePixelRatio || 1;
+
+  if (
+    width === viewportWidth &&
+    height === viewportHeight &&
+    ratio === pixelRatio &&
+    (simulationWorker || canvas.width === Math.round(width * ratio))
+  ) {
+    return;
+  }
+
+  viewportWidth = width;
+  viewportHeight = height;
+  pixelRatio = ratio;
+
+  canvas.style.height = `${height}px`;
+
+  if (simulationWorker) {
+    simulationWorker.postMessage({ type: "resize", width, height, ratio });
+  } else {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+    ctx.globalCompositeOperation = "lighter";
+
+    if (webglRenderer) {
+      webglRenderer.resize(viewportWidth, viewportHeight, pixelRatio);
+    }
+  }
+  resizeHudOverlay();
+  invokeSimulation("SetViewport", viewportWidth, viewportHeight);
+}
+
+function toggleFullscreen() {
+  const container = canvas.parentElement;
+
+  if (document.fullscreenElement) {
+    document.exitFullscreen();
+  } else if (container.requestFullscreen) {
+    container.requestFullscreen().catch((error) => {
+      console.warn("Fullscreen request failed:", error);
     });
+  }
+}
+
+function setupEventHandlers() {
+  document.getElementById("startBtn").addEventListener("click", startAudio);
+
+  const audioUpload = document.getElementById("audioUpload");
+  audioUpload.multiple = true;
+  audioUpload.addEventListener("change", handleFileUpload);
+
+  document
+    .getElementById("resetBtn")
+    .addEventListener("click", resetVisualizer);
+
+  const fullscreenBtn = document.createElement("button");
+  fullscreenBtn.id = "fullscreenBtn";
+  fullscreenBtn.className = "btn btn-info";
+  fullscreenBtn.textContent = "Fullscreen (F)";
+  fullscreenBtn.addEventListener("click", toggleFullscreen);
+  document.getElementById("resetBtn").after(fullscreenBtn);
+
+  const hudBtn = document.createElement("button");
+  hudBtn.id = "hudBtn";
+  hudBtn.className = "btn btn-info";
+  hudBtn.textContent = "HUD (H)";
+  hudBtn.setAttribute("aria-pressed", "false");
+  hudBtn.addEventListener("click", () => setHudVisible(!hudVisible));
+  fullscreenBtn.after(hudBtn);
+  createHudOverlay();
+
+  createModeSelector();
+  createAudioControlPanel();
+  createParticleControls();
+  createSpectrumControls();
+  createMicrophoneControls();
+  createEffectControls();
+  createPaletteControls();
+  createPresetControls();
+  createSessionControls();
+  document.addEventListener("keydown", handleKeyboardShortcut);
+
+  setupPointerTracking();
+  setupFileDrop();
+  window.addEventListener("hashchange", () => {
+    const preset = readHashPreset();
+    if (preset) {
+      applyPreset(preset);
+    }
+  });
+  createAudioSourceStatus();
+}
+
+// The HUD gets its own canvas on the main thread, so it works the same
+// whether the simulation draws here or in the render worker
+function createHudOverlay() {
+  hudCanvas = document.createElement("canvas");
+  hudCanvas.id = "hudCanvas";
+  hudCanvas.setAttribute("aria-hidden", "true");
+  hudCanvas.style.cssText =
+    "position: absolute; left: 0; top: 0; pointer-events: none; display: none;";
+  canvas.after(hudCanvas);
+  hudCtx = hudCanvas.getContext("2d");
+  resizeHudOverlay();
+}
+
+function resizeHudOverlay() {
+  if (!hudCanvas) return;
+
+  hudCanvas.width = Math.round(viewportWidth * pixelRatio);
+  hudCanvas.height = Math.round(viewportHeight * pixelRatio);
+  hudCanvas.style.width = `${viewportWidth}px`;
+  hudCanvas.style.height = `${viewportHeight}px`;
+  hudCanvas.style.left = `${canvas.offsetLeft}px`;
+  hudCanvas.style.top = `${canvas.offsetTop}px`;
+  hudCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+}
+
+function setHudVisible(visible) {
+  hudVisible = Boolean(visible);
+  if (hudCanvas) {
+    hudCanvas.style.display = hudVisible ? "block" : "none";
+    hudCtx.clearRect(0, 0, viewportWidth, viewportHeight);
+  }
+
+  const hudBtn = document.getElementById("hudBtn");
+  if (hudBtn) {
+    hudBtn.setAttribute("aria-pressed", String(hudVisible));
+  }
+  return hudVisible;
+}
+
+function updateHudStats(stats) {
+  hudStats.updateTime +=
+    (stats.updateTime - hudStats.updateTime) * HUD_SMOOTHING;
+  hudStats.renderTime +=
+    (stats.renderTime - hudStats.renderTime) * HUD_SMOOTHING;
+  hudStats.activeParticles = stats.activeParticles;
+  hudStats.centroidHz = stats.centroidHz;
+  hudStats.energies = stats.energies;
+}
+
+function drawHudOverlay(spectrum) {
+  if (!hudCtx) return;
+
+  drawHud(hudCtx, {
+    ...hudStats,
+    width: viewportWidth,
+    height: viewportHeight,
+    spectrum,
+    // Where the centroid falls among the bands, which is where the bars are
+    centroidPosition:
+      hudStats.centroidHz > 0 && spectrumLayout.length > 0
+        ? findBandAbove(hudStats.centroidHz) / spectrumLayout.length
+        : null,
+    particleCount: effectiveParticleCount,
+    mode: currentMode,
+    modeLabel: getModeName(currentMode),
+    sensitivity,
+  });
+}
+
+function setupPointerTracking() {
+  canvas.style.touchAction = "none";
+
+  canvas.addEventListener("pointerdown", (e) => {
+    const point = getCanvasPoint(e);
+    canvas.setPointerCapture(e.pointerId);
+    activePointers.set(e.pointerId, { ...point, pressed: true });
+    syncPointers();
+
+    invokeSimulation("TriggerBurst", point.x, point.y);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    const pressed = e.pointerType === "mouse" ? e.buttons > 0 : true;
+    activePointers.set(e.pointerId, { ...getCanvasPoint(e), pressed });
+    syncPointers();
+  });
+
+  const releasePointer = (e) => {
+    if (e.pointerType === "mouse" && e.type === "pointerup") {
+      activePointers.set(e.pointerId, { ...getCanvasPoint(e), pressed: false });
+    } else {
+      activePointers.delete(e.pointerId);
+    }
+    syncPointers();
+  };
+
+  canvas.addEventListener("pointerup", releasePointer);
+  canvas.addEventListener("pointercancel", releasePointer);
+  canvas.addEventListener("pointerleave", (e) => {
+    activePointers.delete(e.pointerId);
+    syncPointers();
+  });
+
+  syncPointers();
+}
+
+function getCanvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: ((e.clientX - rect.left) * viewportWidth) / rect.width,
+    y: ((e.clientY - rect.top) * viewportHeight) / rect.height,
+  };
+}
+
+function syncPointers() {
+  const [primary, ...others] = activePointers.values();
+
+  mouseX = primary ? primary.x : -1;
+  mouseY = primary ? primary.y : -1;
+  mousePressed = primary ? primary.pressed : false;
+
+  const touchPoints = [];
+  others.forEach((pointer) => {
+    if (pointer.pressed) {
+      touchPoints.push(pointer.x, pointer.y);
+    }
+  });
+
+  invokeSimulation("SetTouchPoints", touchPoints);
+}
+
+function createModeSelector() {
+  const controls = document.querySelector(".controls");
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.id = "modeSelectorLabel";
+
+  const buttons = document.createElement("div");
+  buttons.id = "modeSelector";
+  buttons.style.cssText = "display: flex; flex-wrap: wrap; gap: 8px;";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+
+    try {
+      await loadModeDefinition(await file.text());
+    } catch (error) {
+      applyModeDefinitionResult(-1, error.message);
+    }
+  });
+
+  const loadBtn = document.createElement("button");
+  loadBtn.className = "btn btn-primary";
+  loadBtn.textContent = "Load Mode";
+  loadBtn.title = "Load a JSON force-field mode definition";
+  loadBtn.addEventListener("click", () => fileInput.click());
+
+  const status = document.createElement("span");
+  status.id = "modeDefinitionStatus";
+  status.style.fontSize = "0.85em";
+
+  const parameters = document.createElement("div");
+  parameters.id = "modeParameterControls";
+  parameters.style.cssText = "display: flex; flex-wrap: wrap; gap: 10px;";
+
+  group.appendChild(label);
+  group.appendChild(buttons);
+  group.appendChild(loadBtn);
+  group.appendChild(fileInput);
+  group.appendChild(status);
+  group.appendChild(parameters);
+  controls.appendChild(group);
+
+  renderModeButtons();
+}
+
+function renderModeButtons() {
+  const label = document.getElementById("modeSelectorLabel");
+  const buttons = document.getElementById("modeSelector");
+  if (!label || !buttons) return;
+
+  label.textContent = `Visualization Mode (1-${Math.min(9, visualizationModes.length)})`;
+  buttons.replaceChildren(
+    ...visualizationModes.map(({ id, name }) => {
+      const button = document.createElement("button");
+      button.className = "btn btn-info";
+      button.textContent = name;
+      button.dataset.mode = id;
+      button.addEventListener("click", () => setVisualizationMode(id));
+      return button;
+    }),
+  );
+
+  // Force the sliders to rebuild in case the current mode was replaced
+  const parameters = document.getElementById("modeParameterControls");
+  if (parameters) {
+    delete parameters.dataset.mode;
+  }
+  updateVisualizationDisplay();
+}
+
+// Accepts the JSON text or an already parsed definition. In worker mode the
+// result is a promise of the mode index.
+function loadModeDefinition(definition) {
+  const json =
+    typeof definition === "string" ? definition : JSON.stringify(definition);
+
+  const index = invokeSimulation("LoadModeDefinition", json);
+  if (index === null) return null;
+
+  if (index instanceof Promise) {
+    return index.then(async (result) =>
+      applyModeDefinitionResult(
+        result,
+        result < 0 ? await callSimulation("GetModeDefinitionError") : "",
+        await callSimulation("GetModes"),
+      ),
+    );
+  }
+
+  return applyModeDefinitionResult(
+    index,
+    index < 0 ? dotnetInstance.GetModeDefinitionError() : "",
+    dotnetInstance.GetModes(),
+  );
+}
+
+function applyModeDefinitionResult(index, error, modesJson) {
+  const status = document.getElementById("modeDefinitionStatus");
+
+  if (index < 0) {
+    console.warn("Rejected mode definition:", error);
+    if (status) {
+      status.textContent = `Could not load mode: ${error}`;
+      status.style.color = "#ff6b6b";
+    }
+    return -1;
+  }
+
+  loadVisualizationModes(modesJson);
+  renderModeButtons();
+  setVisualizationMode(index);
+
+  if (status) {
+    status.textContent = `Loaded "${getModeName(index)}"`;
+    status.style.color = "white";
+  }
+  return index;
+}
+
+// The registry describes each mode's tunable parameters, so the sliders are
+// rebuilt from that metadata whenever the mode changes
+function updateModeParameterControls() {
+  const container = document.getElementById("modeParameterControls");
+  const mode = visualizationModes[currentMode];
+  if (!container || !mode) return;
+
+  if (container.dataset.mode !== String(mode.id)) {
+    container.dataset.mode = mode.id;
+    container.replaceChildren(
+      ...mode.parameters.map((parameter) =>
+        createSliderControl(
+          `modeParameter-${parameter.key}Slider`,
+          parameter.label,
+          parameter.min,
+          parameter.max,
+          (value) => setModeParameter(parameter.key, value),
+          (parameter.max - parameter.min) / 100,
+        ),
+      ),
+    );
+  }
+
+  mode.parameters.forEach((parameter) =>
+    setSliderValue(`modeParameter-${parameter.key}Slider`, parameter.value),
+  );
+}
+
+function loadVisualizationModes(modesJson) {
+  visualizationModes = JSON.parse(modesJson).map((mode) => ({
+    id: mode.Id,
+    name: mode.Name,
+    overlay: mode.Overlay || null,
+    parameters: mode.Parameters.map((parameter) => ({
+      key: parameter.Key,
+      label: parameter.Label,
+      min: parameter.Min,
+      max: parameter.Max,
+      default: parameter.Default,
+      value: parameter.Value,
+    })),
+  }));
+}
+
+function readFeatures(values) {
+  const features = {};
+  FEATURE_LAYOUT.forEach((name, index) => {
+    features[name] = values[index];
+  });
+  features.chroma = Array.from(
+    values.slice(FEATURE_LAYOUT.length, FEATURE_LAYOUT.length + CHROMA_BINS),
+  );
+  return features;
+}
+
+// Loudness is in LUFS, rolloff and spread are in Hz like the centroid, and
+// chroma starts at C
+function getAudioFeatures() {
+  if (simulationWorker) {
+    return workerFeatures ? readFeatures(workerFeatures) : null;
+  }
+  if (!dotnetInstance) return null;
+  return readFeatures(dotnetInstance.GetFeatures());
+}
+
+function getModeName(mode) {
+  return visualizationModes[mode] ? visualizationModes[mode].name : "";
+}
+
+// Index of the loaded mode with this name, or -1
+function findModeIndex(name) {
+  return visualizationModes.findIndex((mode) => mode.name === name);
+}
+
+function getModeOverlay(mode) {
+  return visualizationModes[mode] ? visualizationModes[mode].overlay : null;
+}
+
+function setModeParameter(key, value, mode = currentMode) {
+  const parameter = visualizationModes[mode]?.parameters.find(
+    (candidate) => candidate.key === key,
+  );
+  if (!parameter || !Number.isFinite(value)) return false;
+
+  const accepted = invokeSimulation("SetModeParameter", mode, key, value);
+  if (accepted === false) {
+    return false;
+  }
+  whenApplied(accepted, (result) => {
+    if (result === false) {
+      console.warn("Rejected mode parameter:", key, value);
+    }
+  });
+  parameter.value = Math.max(parameter.min, Math.min(parameter.max, value));
+
+  if (mode === currentMode) {
+    setSliderValue(`modeParameter-${key}Slider`, parameter.value);
+  }
+  return true;
+}
+
+function applyModeParameters() {
+  visualizationModes.forEach((mode) =>
+    mode.parameters.forEach((parameter) =>
+      invokeSimulation(
+        "SetModeParameter",
+        mode.id,
+        parameter.key,
+        parameter.value,
+      ),
+    ),
+  );
+}
+
+function createAudioControlPanel() {
+  const controls = document.querySelector(".controls");
+
+  controls.appendChild(
+    createSliderControl("inputGainSlider", "Input Gain", 0, 4.0, (value) =>
+      setInputGain(value),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl(
+      "sensitivitySlider",
+      "Sensitivity",
+      MIN_SENSITIVITY,
+      MAX_SENSITIVITY,
+      (value) => setSensitivity(value),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl("lowGainSlider", "Low Gain", 0, 3.0, (value) =>
+      setBandGain("low", value),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl("midGainSlider", "Mid Gain", 0, 3.0, (value) =>
+      setBandGain("mid", value),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl("highGainSlider", "High Gain", 0, 3.0, (value) =>
+      setBandGain("high", value),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl(
+      "attackSlider",
+      "Attack (ms)",
+      0,
+      500,
+      (value) => setEnvelopeTimes(value / 1000, bandDynamics.release),
+      5,
+    ),
+  );
+  controls.appendChild(
+    createSliderControl(
+      "releaseSlider",
+      "Release (ms)",
+      0,
+      2000,
+      (value) => setEnvelopeTimes(bandDynamics.attack, value / 1000),
+      10,
+    ),
+  );
+  controls.appendChild(
+    createSliderControl("autoGainSlider", "Auto Gain", 0, 1.0, (value) =>
+      setNormalization(value, bandDynamics.adaptation),
+    ),
+  );
+  controls.appendChild(
+    createSliderControl(
+      "adaptationSlider",
+      "Adapt Time (s)",
+      MIN_ADAPTATION_TIME,
+      MAX_ADAPTATION_TIME,
+      (value) => setNormalization(bandDynamics.normalization, value),
+      0.5,
+    ),
+  );
+
+  syncAudioControls();
+}
+
+function createSliderControl(id, labelText, min, max, onInput, step = 0.05) {
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.htmlFor = id;
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.id = id;
+  slider.className = "slider";
+  slider.min = min;
+  slider.max = max;
+  slider.step = step;
+  slider.dataset.label = labelText;
+  slider.dataset.decimals = Number.isInteger(step) ? 0 : 2;
+
+  slider.addEventListener("input", () => {
+    onInput(parseFloat(slider.value));
+    updateSliderLabel(slider);
+  });
+
+  group.appendChild(label);
+  group.appendChild(slider);
+  return group;
+}
+
+function updateSliderLabel(slider) {
+  const label = document.querySelector(`label[for="${slider.id}"]`);
+  if (label) {
+    const value = parseFloat(slider.value).toFixed(slider.dataset.decimals);
+    label.textContent = `${slider.dataset.label}: ${value}`;
+  }
+}
+
+function setSliderValue(id, value) {
+  const slider = document.getElementById(id);
+  if (!slider) return;
+
+  slider.value = value;
+  updateSliderLabel(slider);
+}
+
+function syncAudioControls() {
+  setSliderValue("inputGainSlider", inputGain);
+  setSliderValue("sensitivitySlider", sensitivity);
+  setSliderValue("lowGainSlider", bandGains.low);
+  setSliderValue("midGainSlider", bandGains.mid);
+  setSliderValue("highGainSlider", bandGains.high);
+  setSliderValue("attackSlider", bandDynamics.attack * 1000);
+  setSliderValue("releaseSlider", bandDynamics.release * 1000);
+  setSliderValue("autoGainSlider", bandDynamics.normalization);
+  setSliderValue("adaptationSlider", bandDynamics.adaptation);
+}
+
+function setSensitivity(value) {
+  sensitivity = value;
+  invokeSimulation("SetSensitivity", sensitivity);
+}
+
+function setBandGain(band, value) {
+  bandGains[band] = value;
+  invokeSimulation(
+    "SetBandGains",
+    bandGains.low,
+    bandGains.mid,
+    bandGains.high,
+  );
+}
+
+// Envelope times are in seconds. Attack is how quickly a band follows a rise
+// and release how slowly it falls back.
+function setEnvelopeTimes(attack, release) {
+  if (!Number.isFinite(attack) || !Number.isFinite(release)) return false;
+  bandDynamics.attack = Math.max(0, Math.min(MAX_ENVELOPE_TIME, attack));
+  bandDynamics.release = Math.max(0, Math.min(MAX_ENVELOPE_TIME, release));
+  invokeSimulation(
+    "SetEnvelopeTimes",
+    bandDynamics.attack,
+    bandDynamics.release,
+  );
+  return true;
+}
+
+// Amount blends from the plain envelope (0) to bands stretched between their
+// running floor and peak (1). Adaptation is how long, in seconds, those
+// bounds take to forget a louder or quieter passage.
+function setNormalization(amount, adaptation) {
+  if (!Number.isFinite(amount) || !Number.isFinite(adaptation)) return false;
+  bandDynamics.normalization = Math.max(0, Math.min(1, amount));
+  bandDynamics.adaptation = Math.max(
+    MIN_ADAPTATION_TIME,
+    Math.min(MAX_ADAPTATION_TIME, adaptation),
+  );
+  invokeSimulation(
+    "SetNormalization",
+    bandDynamics.normalization,
+    bandDynamics.adaptation,
+  );
+  return true;
+}
+
+function resetAudioControls() {
+  setInputGain(DEFAULT_INPUT_GAIN);
+  setSensitivity(DEFAULT_SENSITIVITY);
+  setBandGain("low", DEFAULT_BAND_GAIN);
+  setBandGain("mid", DEFAULT_BAND_GAIN);
+  setBandGain("high", DEFAULT_BAND_GAIN);
+  setEnvelopeTimes(DEFAULT_BAND_DYNAMICS.attack, DEFAULT_BAND_DYNAMICS.release);
+  setNormalization(
+    DEFAULT_BAND_DYNAMICS.normalization,
+    DEFAULT_BAND_DYNAMICS.adaptation,
+  );
+  syncAudioControls();
+}
+
+function createParticleControls() {
+  const controls = document.querySelector(".controls");
+
+  controls.appendChild(
+    createSliderControl(
+      "particleCountSlider",
+      "Particles",
+      MIN_PARTICLE_COUNT,
+      maxParticleCount,
+      (value) => setParticleCount(value),
+      50,
+    ),
+  );
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.htmlFor = "adaptiveParticlesToggle";
+  label.textContent = "Adaptive Count";
+
+  const toggle = document.createElement("input");
+  toggle.type = "checkbox";
+  toggle.id = "adaptiveParticlesToggle";
+  toggle.addEventListener("change", () => setAdaptiveParticles(toggle.checked));
+
+  group.appendChild(label);
+  group.appendChild(toggle);
+  controls.appendChild(group);
+
+  controls.appendChild(
+    createSelectControl(
+      "particleRendererSelect",
+      "Renderer",
+      Object.entries(PARTICLE_RENDERERS).map(([value, label]) => ({
+        value,
+        label,
+      })),
+      particleRenderer,
+      (value) => setParticleRenderer(value),
+    ),
+  );
+
+  syncParticleControls();
+}
+
+function setParticleRenderer(type) {
+  particleRenderer = type;
+
+  if (simulationWorker) {
+    simulationWorker.postMessage({ type: "setRenderer", renderer: type });
+    return;
+  }
+
+  if (particleRenderer === "webgl" && !webglRenderer) {
+    webglRenderer = createWebGLParticleRenderer();
+    if (webglRenderer) {
+      webglRenderer.resize(viewportWidth, viewportHeight, pixelRatio);
+    } else {
+      console.warn("WebGL2 is unavailable, drawing particles with Canvas 2D");
+      particleRenderer = "canvas";
+    }
+  }
+
+  syncParticleRendererSelect(type);
+}
+
+function syncParticleRendererSelect(requested) {
+  const select = document.getElementById("particleRendererSelect");
+  if (select) {
+    select.value = particleRenderer;
+    // Grey out WebGL2 when it was requested but could not be created
+    select.querySelector('option[value="webgl"]').disabled =
+      particleRenderer !== requested;
+  }
+}
+
+function createSpectrumControls() {
+  const controls = document.querySelector(".controls");
+
+  controls.appendChild(
+    createSelectControl(
+      "fftSizeSelect",
+      "FFT Size",
+      FFT_SIZES.map((size) => ({ value: size, label: String(size) })),
+      spectrumSettings.fftSize,
+      (value) => setSpectrumSetting("fftSize", Number(value)),
+    ),
+  );
+  controls.appendChild(
+    createSelectControl(
+      "spectrumScaleSelect",
+      "Frequency Scale",
+      Object.entries(SPECTRUM_SCALES).map(([value, label]) => ({
+        value,
+        label,
+      })),
+      spectrumSettings.scale,
+      (value) => setSpectrumSetting("scale", value),
+    ),
+  );
+  controls.appendChild(
+    createSelectControl(
+      "bandCountSelect",
+      "Bands",
+      SCALED_BAND_COUNTS.map((count) => ({
+        value: count,
+        label: String(count),
+      })),
+      spectrumSettings.bandCount,
+      (value) => setSpectrumSetting("bandCount", Number(value)),
+    ),
+  );
+
+  syncSpectrumControls();
+}
+
+function createEffectControls() {
+  const panel = document.createElement("details");
+  panel.id = "effectControls";
+  panel.style.cssText = "color: white; width: 100%;";
+
+  const summary = document.createElement("summary");
+  summary.textContent = "Effects";
+  summary.style.cursor = "pointer";
+  panel.appendChild(summary);
+
+  const body = document.createElement("div");
+  body.style.cssText =
+    "display: flex; flex-wrap: wrap; gap: 10px; margin-top: 8px;";
+
+  Object.entries(POST_EFFECT_STAGES).forEach(([stage, definition]) => {
+    const group = document.createElement("div");
+    group.className = "control-group";
+
+    const label = document.createElement("label");
+    label.style.fontWeight = "bold";
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.id = `${stage}EffectToggle`;
+    toggle.addEventListener("change", () =>
+      setPostEffect(stage, { enabled: toggle.checked }),
+    );
+    label.appendChild(toggle);
+    label.append(` ${definition.label}`);
+    group.appendChild(label);
+
+    Object.entries(definition.params).forEach(([key, param]) => {
+      group.appendChild(
+        createSliderControl(
+          `${stage}-${key}Slider`,
+          param.label,
+          param.min,
+          param.max,
+          (value) => setPostEffect(stage, { params: { [key]: value } }),
+          param.step,
+        ),
+      );
+      group.appendChild(
+        createSelectControl(
+          `${stage}-${key}Binding`,
+          `${param.label} Follows`,
+          ENERGY_BANDS.map((band) => ({ value: band, label: band })),
+          postEffects[stage].bindings[key],
+          (band) => setPostEffect(stage, { bindings: { [key]: band } }),
+        ),
+      );
+    });
+
+    body.appendChild(group);
+  });
+
+  panel.appendChild(body);
+  document.querySelector(".controls").appendChild(panel);
+  syncEffectControls();
+}
+
+function syncEffectControls() {
+  Object.entries(postEffects).forEach(([stage, settings]) => {
+    const toggle = document.getElementById(`${stage}EffectToggle`);
+    if (toggle) {
+      toggle.checked = settings.enabled;
+    }
+
+    Object.entries(settings.params).forEach(([key, value]) => {
+      setSliderValue(`${stage}-${key}Slider`, value);
+      const binding = document.getElementById(`${stage}-${key}Binding`);
+      if (binding) {
+        binding.value = settings.bindings[key];
+      }
+    });
+  });
+}
+
+function setPostEffect(stage, { enabled, params = {}, bindings = {} }) {
+  const settings = postEffects[stage];
+  if (!settings) {
+    console.warn("Unknown post-processing stage:", stage);
+    return false;
+  }
+
+  if (enabled !== undefined) {
+    settings.enabled = Boolean(enabled);
+  }
+  Object.entries(params).forEach(([key, value]) => {
+    const param = POST_EFFECT_STAGES[stage].params[key];
+    if (param && Number.isFinite(value)) {
+      settings.params[key] = Math.max(param.min, Math.min(param.max, value));
+    }
+  });
+  Object.entries(bindings).forEach(([key, band]) => {
+    if (key in settings.bindings && ENERGY_BANDS.includes(band)) {
+      settings.bindings[key] = band;
+    }
+  });
+
+  syncEffectControls();
+  return true;
+}
+
+function resetPostEffects() {
+  postEffects = createPostEffectSettings();
+  syncEffectControls();
+}
+
+function createPaletteControls() {
+  const controls = document.querySelector(".controls");
+
+  controls.appendChild(
+    createSelectControl(
+      "paletteSelect",
+      "Palette",
+      Object.entries(PALETTES).map(([value, palette]) => ({
+        value,
+        label: palette.label,
+      })),
+      paletteName,
+      (value) => setPalette(value),
+    ),
+  );
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+  group.id = "customPaletteControls";
+
+  const label = document.createElement("label");
+  label.textContent = "Custom Stops";
+  group.appendChild(label);
+
+  const stopInputs = document.createElement("span");
+  stopInputs.id = "customPaletteStops";
+  group.appendChild(stopInputs);
+
+  controls.appendChild(group);
+  syncPaletteControls();
+}
+
+// One colour input per stop, rebuilt when a palette with a different number
+// of stops is applied
+function createPaletteStopInputs(container) {
+  container.replaceChildren(
+    ...customPaletteStops.map((stop, index) => {
+      const input = document.createElement("input");
+      input.type = "color";
+      input.value = stop;
+      input.addEventListener("input", () => {
+        const stops = [...customPaletteStops];
+        stops[index] = input.value;
+        setPalette("custom", stops);
+      });
+      return input;
+    }),
+  );
+}
+
+function syncPaletteControls() {
+  const select = document.getElementById("paletteSelect");
+  if (select) {
+    select.value = paletteName;
+  }
+
+  const custom = document.getElementById("customPaletteControls");
+  if (custom) {
+    custom.style.display = paletteName === "custom" ? "" : "none";
+  }
+
+  const stopInputs = document.getElementById("customPaletteStops");
+  if (!stopInputs) return;
+  if (stopInputs.children.length !== customPaletteStops.length) {
+    createPaletteStopInputs(stopInputs);
+    return;
+  }
+  customPaletteStops.forEach((stop, index) => {
+    stopInputs.children[index].value = stop;
+  });
+}
+
+function isValidPaletteStops(stops) {
+  return (
+    Array.isArray(stops) &&
+    stops.length >= MIN_PALETTE_STOPS &&
+    stops.length <= MAX_PALETTE_STOPS &&
+    stops.every(
+      (stop) => typeof stop === "string" && /^#[0-9a-f]{6}$/i.test(stop),
+    )
+  );
+}
+
+// stops only apply to the custom palette and replace its colours
+function setPalette(name, stops) {
+  const palette = Object.hasOwn(PALETTES, name) ? PALETTES[name] : null;
+  if (!palette) {
+    console.warn("Unknown palette:", name);
+    return false;
+  }
+
+  if (stops !== undefined) {
+    if (name !== "custom" || !isValidPaletteStops(stops)) {
+      console.warn(
+        `Palette stops must be ${MIN_PALETTE_STOPS} to ${MAX_PALETTE_STOPS} #rrggbb colours on the custom palette`,
+      );
+      return false;
+    }
+    customPaletteStops = [...stops];
+  }
+
+  paletteName = name;
+  // Renderers cache per palette object, so edits always make a new one
+  activePalette =
+    name === "custom" ? { ...palette, stops: customPaletteStops } : palette;
+
+  syncPaletteControls();
+  return true;
+}
+
+function createDefaultPreset() {
+  return {
+    version: PRESET_VERSION,
+    name: DEFAULT_PRESET_NAME,
+    // The first registered mode
+    mode: null,
+    sensitivity: DEFAULT_SENSITIVITY,
+    particleCount: DEFAULT_PARTICLE_COUNT,
+    palette: { name: DEFAULT_PALETTE },
+    effects: createPostEffectSettings(),
+    modeParameters: {},
+  };
+}
+
+function capturePreset(name) {
+  return {
+    version: PRESET_VERSION,
+    name,
+    // Stored by name, since mode numbers depend on registration order
+    mode: getModeName(currentMode) || null,
+    sensitivity,
+    particleCount,
+    palette:
+      paletteName === "custom"
+        ? { name: paletteName, stops: [...customPaletteStops] }
+        : { name: paletteName },
+    effects: structuredClone(postEffects),
+    // Keyed by name, since mode numbers depend on registration order
+    modeParameters: Object.fromEntries(
+      visualizationModes.map((mode) => [
+        mode.name,
+        Object.fromEntries(
+          mode.parameters.map((parameter) => [parameter.key, parameter.value]),
+        ),
+      ]),
+    ),
+  };
+}
+
+// Presets come from storage, files and URLs, so anything missing or out of
+// range falls back to the default. Returns null for data that is not a preset.
+function parsePreset(data) {
+  if (!data || typeof data !== "object" || data.version !== PRESET_VERSION) {
+    return null;
+  }
+  const name =
+    typeof data.name === "string"
+      ? data.name.trim().slice(0, MAX_PRESET_NAME_LENGTH)
+      : "";
+  if (!name) return null;
+
+  const defaults = createDefaultPreset();
+  const clamp = (value, min, max, fallback) =>
+    Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+  const isObject = (value) => value !== null && typeof value === "object";
+
+  const effects = {};
+  Object.keys(POST_EFFECT_STAGES).forEach((stage) => {
+    const settings = isObject(data.effects) ? data.effects[stage] : null;
+    if (!isObject(settings)) return;
+    effects[stage] = {
+      enabled:
+        typeof settings.enabled === "boolean" ? settings.enabled : undefined,
+      params: isObject(settings.params) ? settings.params : {},
+      bindings: isObject(settings.bindings) ? settings.bindings : {},
+    };
+  });
+
+  return {
+    version: PRESET_VERSION,
+    name,
+    // A name is kept even when no such mode is loaded, so applying the preset
+    // can say which one is missing. Older presets stored the mode number.
+    mode:
+      typeof data.mode === "string" && data.mode
+        ? data.mode
+        : Number.isInteger(data.mode) && data.mode >= 0
+          ? getModeName(data.mode) || defaults.mode
+          : defaults.mode,
+    sensitivity: clamp(
+      data.sensitivity,
+      MIN_SENSITIVITY,
+      MAX_SENSITIVITY,
+      defaults.sensitivity,
+    ),
+    particleCount: Math.round(
+      clamp(
+        data.particleCount,
+        MIN_PARTICLE_COUNT,
+        maxParticleCount,
+        defaults.particleCount,
+      ),
+    ),
+    palette: parsePresetPalette(data.palette, defaults.palette),
+    effects,
+    modeParameters: isObject(data.modeParameters) ? data.modeParameters : {},
+  };
+}
+
+// Only the custom palette carries stops, and only valid ones
+function parsePresetPalette(palette, fallback) {
+  if (
+    palette === null ||
+    typeof palette !== "object" ||
+    !Object.hasOwn(PALETTES, palette.name)
+  ) {
+    return fallback;
+  }
+  if (palette.name !== "custom") {
+    return { name: palette.name };
+  }
+  return isValidPaletteStops(palette.stops)
+    ? { name: palette.name, stops: [...palette.stops] }
+    : fallback;
+}
+
+// Returns false, after saying so in the preset status, when the preset's mode
+// is not loaded; everything else is still applied over the first mode.
+function applyPreset(preset) {
+  activePreset = preset;
+
+  const modeIndex = preset.mode === null ? 0 : findModeIndex(preset.mode);
+  setVisualizationMode(Math.max(0, modeIndex));
+  setSensitivity(preset.sensitivity);
+  syncAudioControls();
+  setParticleCount(preset.particleCount);
+  syncParticleControls();
+
+  if (!setPalette(preset.palette.name, preset.palette.stops)) {
+    setPalette(DEFAULT_PALETTE);
+  }
+
+  resetPostEffects();
+  Object.entries(preset.effects).forEach(([stage, settings]) =>
+    setPostEffect(stage, settings),
+  );
+
+  // Parameters the preset leaves out go back to the mode's defaults
+  visualizationModes.forEach((mode) => {
+    const values = preset.modeParameters[mode.name];
+    mode.parameters.forEach((parameter) => {
+      const value =
+        values && typeof values === "object"
+          ? values[parameter.key]
+          : undefined;
+      setModeParameter(
+        parameter.key,
+        Number.isFinite(value) ? value : parameter.default,
+        mode.id,
+      );
+    });
+  });
+
+  writeStorage(ACTIVE_PRESET_STORAGE_KEY, preset.name);
+  updatePresetControls();
+
+  if (modeIndex < 0) {
+    console.warn(`Preset "${preset.name}" needs mode "${preset.mode}"`);
+    setPresetStatus(
+      `"${preset.name}" needs the mode "${preset.mode}", load it and pick the preset again`,
+      true,
+    );
+    return false;
+  }
+  return true;
+}
+
+function getInitialPreset() {
+  const stored = readStoredPresets();
+  return (
+    readHashPreset() ||
+    stored[readStorage(ACTIVE_PRESET_STORAGE_KEY)] ||
+    createDefaultPreset()
+  );
+}
+
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    console.warn("Local storage is unavailable:", error);
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.warn("Could not write to local storage:", error);
+    return false;
+  }
+}
+
+function readStoredPresets() {
+  let stored = {};
+  try {
+    stored = JSON.parse(readStorage(PRESET_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.warn("Ignoring unreadable saved presets:", error);
+  }
+
+  const presets = {};
+  Object.values(stored || {}).forEach((data) => {
+    const preset = parsePreset(data);
+    if (preset && preset.name !== DEFAULT_PRESET_NAME) {
+      presets[preset.name] = preset;
+    }
+  });
+  return presets;
+}
+
+function savePreset(name = activePreset.name) {
+  const presetName = String(name).trim().slice(0, MAX_PRESET_NAME_LENGTH);
+  if (!presetName || presetName === DEFAULT_PRESET_NAME) {
+    setPresetStatus("Choose a name other than Default", true);
+    return null;
+  }
+
+  const preset = capturePreset(presetName);
+  const presets = readStoredPresets();
+  presets[presetName] = preset;
+  if (!writeStorage(PRESET_STORAGE_KEY, JSON.stringify(presets))) {
+    setPresetStatus("Could not save the preset in this browser", true);
+    return null;
+  }
+
+  activePreset = preset;
+  writeStorage(ACTIVE_PRESET_STORAGE_KEY, presetName);
+  updatePresetControls();
+  setPresetStatus(`Saved "${presetName}"`);
+  return preset;
+}
+
+function deletePreset(name) {
+  const presets = readStoredPresets();
+  if (!(name in presets)) return false;
+
+  delete presets[name];
+  writeStorage(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  if (activePreset.name === name) {
+    activePreset = createDefaultPreset();
+    writeStorage(ACTIVE_PRESET_STORAGE_KEY, activePreset.name);
+  }
+
+  updatePresetControls();
+  setPresetStatus(`Deleted "${name}"`);
+  return true;
+}
+
+function selectPreset(name) {
+  const preset =
+    name === activePreset.name
+      ? activePreset
+      : name === DEFAULT_PRESET_NAME
+        ? createDefaultPreset()
+        : readStoredPresets()[name];
+  if (preset) {
+    applyPreset(preset);
+  }
+}
+
+function exportPreset() {
+  const preset = capturePreset(activePreset.name);
+  const fileName = preset.name.replace(/[^\w-]+/g, "-").toLowerCase();
+  downloadFile(
+    new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" }),
+    `${fileName || "preset"}.json`,
+  );
+}
+
+async function importPresetFile(file) {
+  try {
+    const preset = parsePreset(JSON.parse(await file.text()));
+    if (!preset) {
+      throw new Error("the file is not a visualizer preset");
+    }
+
+    if (preset.name !== DEFAULT_PRESET_NAME) {
+      const presets = readStoredPresets();
+      presets[preset.name] = preset;
+      writeStorage(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    }
+    if (applyPreset(preset)) {
+      setPresetStatus(`Imported "${preset.name}"`);
+    }
+    return preset;
+  } catch (error) {
+    console.warn("Preset import failed:", error);
+    setPresetStatus(`Could not import ${file.name}: ${error.message}`, true);
+    return null;
+  }
+}
+
+function getPresetShareUrl() {
+  const url = new URL(window.location.href);
+  const params = new URLSearchParams();
+  params.set(PRESET_HASH_KEY, JSON.stringify(capturePreset(activePreset.name)));
+  url.hash = params.toString();
+  return url.toString();
+}
+
+async function sharePreset() {
+  const url = getPresetShareUrl();
+  // replaceState does not fire hashchange, so the preset is not re-applied
+  history.replaceState(null, "", url);
+
+  try {
+    await navigator.clipboard.writeText(url);
+    setPresetStatus("Share link copied");
+  } catch (error) {
+    setPresetStatus("Share link is in the address bar");
+  }
+}
+
+function readHashPreset() {
+  const encoded = new URLSearchParams(window.location.hash.slice(1)).get(
+    PRESET_HASH_KEY,
+  );
+  if (!encoded) return null;
+
+  try {
+    return parsePreset(JSON.parse(encoded));
+  } catch (error) {
+    console.warn("Ignoring malformed preset in the URL:", error);
+    return null;
+  }
+}
+
+function createPresetControls() {
+  const controls = document.querySelector(".controls");
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.htmlFor = "presetSelect";
+  label.textContent = "Preset";
+
+  const select = document.createElement("select");
+  select.id = "presetSelect";
+  select.style.cssText = `
+        background: rgba(255,255,255,0.1);
+        color: white;
+        border: 1px solid rgba(255,255,255,0.2);
+        border-radius: 6px;
+        padding: 4px 8px;
+    `;
+  select.addEventListener("change", () => selectPreset(select.value));
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.id = "presetNameInput";
+  nameInput.placeholder = "Preset name";
+  nameInput.maxLength = MAX_PRESET_NAME_LENGTH;
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "btn btn-primary";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", () => {
+    if (savePreset(nameInput.value || activePreset.name)) {
+      nameInput.value = "";
+    }
+  });
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.id = "presetDeleteBtn";
+  deleteBtn.className = "btn btn-warning";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.addEventListener("click", () => deletePreset(activePreset.name));
+
+  const exportBtn = document.createElement("button");
+  exportBtn.className = "btn btn-info";
+  exportBtn.textContent = "Export";
+  exportBtn.addEventListener("click", exportPreset);
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".json,application/json";
+  fileInput.style.display = "none";
+  fileInput.addEventListener("change", () => {
+    if (fileInput.files[0]) {
+      importPresetFile(fileInput.files[0]);
+    }
+    fileInput.value = "";
+  });
+
+  const importBtn = document.createElement("button");
+  importBtn.className = "btn btn-info";
+  importBtn.textContent = "Import";
+  importBtn.addEventListener("click", () => fileInput.click());
+
+  const shareBtn = document.createElement("button");
+  shareBtn.className = "btn btn-info";
+  shareBtn.textContent = "Share";
+  shareBtn.addEventListener("click", sharePreset);
+
+  const status = document.createElement("span");
+  status.id = "presetStatus";
+  status.style.fontSize = "0.85em";
+
+  group.appendChild(label);
+  group.appendChild(select);
+  group.appendChild(nameInput);
+  group.appendChild(saveBtn);
+  group.appendChild(deleteBtn);
+  group.appendChild(exportBtn);
+  group.appendChild(importBtn);
+  group.appendChild(fileInput);
+  group.appendChild(shareBtn);
+  group.appendChild(status);
+  controls.appendChild(group);
+
+  updatePresetControls();
+}
+
+function updatePresetControls() {
+  const select = document.getElementById("presetSelect");
+  if (!select) return;
+
+  const names = [DEFAULT_PRESET_NAME, ...Object.keys(readStoredPresets())];
+  const options = names.map((name) => ({ value: name, label: name }));
+  // Shared presets apply without being saved until the user chooses to
+  if (!names.includes(activePreset.name)) {
+    options.push({
+      value: activePreset.name,
+      label: `${activePreset.name} (unsaved)`,
+    });
+  }
+
+  select.replaceChildren(...options.map(createSelectOption));
+  select.value = activePreset.name;
+  document.getElementById("presetDeleteBtn").disabled =
+    !names.includes(activePreset.name) ||
+    activePreset.name === DEFAULT_PRESET_NAME;
+}
+
+function setPresetStatus(message, isError = false) {
+  const status = document.getElementById("presetStatus");
+  if (status) {
+    status.textContent = message;
+    status.style.color = isError ? "#ff6b6b" : "white";
+  }
+}
+
+function createSessionControls() {
+  const controls = document.querySelector(".controls");
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.htmlFor = "fixedStepToggle";
+  label.textContent = "Fixed Step";
+
+  const toggle = document.createElement("input");
+  toggle.type = "checkbox";
+  toggle.id = "fixedStepToggle";
+  toggle.addEventListener("change", () => setFixedTimestep(toggle.checked));
+
+  const recordBtn = document.createElement("button");
+  recordBtn.id = "sessionRecordBtn";
+  recordBtn.className = "btn btn-warning";
+  recordBtn.addEventListener("click", async () => {
+    setSessionStatus("");
+    if (sessionRecording) {
+      finishSessionRecording();
+      return;
+    }
+
+    try {
+      await startSessionRecording();
+    } catch (error) {
+      console.error("Session recording failed:", error);
+      setSessionStatus(`Recording failed: ${error.message}`, true);
+    }
+  });
+
+  const replayBtn = document.createElement("button");
+  replayBtn.id = "sessionReplayBtn";
+  replayBtn.className = "btn btn-info";
+  replayBtn.textContent = "Replay Session";
+  replayBtn.addEventListener("click", async () => {
+    setSessionStatus("");
+    try {
+      const result = await replaySession();
+      if (result.matches === false) {
+        setSessionStatus("Replay diverged from the recording", true);
+      } else {
+        setSessionStatus(
+          result.matches ? "Replay matched the recording" : "Replay finished",
+        );
+      }
+    } catch (error) {
+      console.error("Session replay failed:", error);
+      setSessionStatus(`Replay failed: ${error.message}`, true);
+    }
+  });
+
+  const status = document.createElement("span");
+  status.id = "sessionStatus";
+  status.style.fontSize = "0.85em";
+
+  group.appendChild(label);
+  group.appendChild(toggle);
+  group.appendChild(recordBtn);
+  group.appendChild(replayBtn);
+  group.appendChild(status);
+  controls.appendChild(group);
+
+  updateSessionControls();
+}
+
+function updateSessionControls() {
+  const recordBtn = document.getElementById("sessionRecordBtn");
+  const replayBtn = document.getElementById("sessionReplayBtn");
+  if (!recordBtn || !replayBtn) return;
+
+  recordBtn.textContent = sessionRecording ? "Stop Session" : "Record Session";
+  recordBtn.disabled =
+    isReplayingSession ||
+    (isOfflineRendering && !sessionRecording) ||
+    !isSimulationReady();
+  replayBtn.disabled =
+    !lastSession ||
+    !!sessionRecording ||
+    isReplayingSession ||
+    isOfflineRendering;
+}
+
+function setSessionStatus(message, isError = false) {
+  const status = document.getElementById("sessionStatus");
+  if (status) {
+    status.textContent = message;
+    status.style.color = isError ? "#ff6b6b" : "white";
+  }
+}
+
+function createSelectControl(id, labelText, options, value, onChange) {
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  const label = document.createElement("label");
+  label.htmlFor = id;
+  label.textContent = labelText;
+
+  const select = document.createElement("select");
+  select.id = id;
+  select.style.cssText = `
+        background: rgba(255,255,255,0.1);
+        color: white;
+        border: 1px solid rgba(255,255,255,0.2);
+        border-radius: 6px;
+        padding: 4px 8px;
+    `;
+
+  options.forEach((option) => select.appendChild(createSelectOption(option)));
+
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+
+  group.appendChild(label);
+  group.appendChild(select);
+  return group;
+}
+
+function createSelectOption(option) {
+  const element = document.createElement("option");
+  element.value = option.value;
+  element.textContent = option.label;
+  element.style.color = "black";
+  return element;
+}
+
+function setSpectrumSetting(key, value) {
+  spectrumSettings[key] = value;
+  applySpectrumSettings();
+  syncSpectrumControls();
+}
+
+function syncSpectrumControls() {
+  const bandCountSelect = document.getElementById("bandCountSelect");
+  if (bandCountSelect) {
+    bandCountSelect.disabled =
+      spectrumSettings.scale === "linear" ||
+      spectrumSettings.scale === "third-octave";
+  }
+}
+
+function syncParticleControls() {
+  setSliderValue("particleCountSlider", particleCount);
+
+  const toggle = document.getElementById("adaptiveParticlesToggle");
+  if (toggle) {
+    toggle.checked = adaptiveParticles;
+  }
+}
+
+function setParticleCount(value) {
+  particleCount = Math.round(value);
+  applyParticleCount(particleCount);
+}
+
+function applyParticleCount(count) {
+  const applied = invokeSimulation("SetParticleCount", count);
+  if (applied instanceof Promise) {
+    // Assume the clamped count until the worker replies with the real one
+    effectiveParticleCount = Math.max(1, Math.min(maxParticleCount, count));
+  }
+  whenApplied(applied, (result) => {
+    if (result !== null) {
+      effectiveParticleCount = result;
+    }
+  });
+}
+
+function setAdaptiveParticles(enabled) {
+  adaptiveParticles = enabled;
+  frameCostAverage = 0;
+
+  if (!adaptiveParticles) {
+    applyParticleCount(particleCount);
+  }
+}
+
+function resetParticleControls() {
+  setAdaptiveParticles(false);
+  setParticleCount(DEFAULT_PARTICLE_COUNT);
+  syncParticleControls();
+}
+
+function adaptParticleCount(frameCost, currentTime) {
+  frameCostAverage = frameCostAverage
+    ? frameCostAverage * 0.9 + frameCost * 0.1
+    : frameCost;
+
+  if (!adaptiveParticles || !isSimulationReady()) return;
+  if (currentTime - lastAdaptiveAdjustment < ADAPTIVE_INTERVAL_MS) return;
+
+  let nextCount = effectiveParticleCount;
+  if (frameCostAverage > FRAME_BUDGET_MS) {
+    nextCount = Math.max(
+      MIN_PARTICLE_COUNT,
+      Math.floor(effectiveParticleCount * 0.85),
+    );
+  } else if (frameCostAverage < FRAME_BUDGET_MS * 0.6) {
+    nextCount = Math.min(
+      particleCount,
+      Math.ceil(effectiveParticleCount * 1.05),
+    );
+  }
+
+  if (nextCount !== effectiveParticleCount) {
+    applyParticleCount(nextCount);
+    lastAdaptiveAdjustment = currentTime;
+  }
+}
+
+function handleKeyboardShortcut(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)) return;
+
+  if (e.key === "f" || e.key === "F") {
+    toggleFullscreen();
+    return;
+  }
+
+  if (e.key === "h" || e.key === "H") {
+    setHudVisible(!hudVisible);
+    return;
+  }
+
+  const mode = Number(e.key) - 1;
+  if (Number.isInteger(mode) && mode >= 0 && mode < visualizationModes.length) {
+    setVisualizationMode(mode);
+  }
+}
+
+function setVisualizationMode(mode) {
+  const validMode =
+    Number.isInteger(mode) && mode >= 0 && mode < visualizationModes.length;
+  const accepted = validMode
+    ? invokeSimulation("SetVisualizationMode", mode)
+    : false;
+
+  if (accepted === null || accepted === false) {
+    console.warn("Rejected invalid visualization mode:", mode);
+    return false;
+  }
+
+  currentMode = mode;
+  updateVisualizationDisplay();
+
+  // The worker checks the mode again; follow it if it kept the old one
+  whenApplied(accepted, async (result) => {
+    if (result === false) {
+      console.warn("Rejected invalid visualization mode:", mode);
+      currentMode = await callSimulation("GetVisualizationMode");
+      updateVisualizationDisplay();
+    }
+  });
+  return true;
+}
+
+async function startAudio() {
+  const request = ++sourceRequestId;
+  const settings = { ...microphoneSettings };
+  // A restart leaves the old stream playing until the new one opens
+  const restarting =
+    audioInput.kind === "microphone" && audioInput.state === "active";
+  setAudioSourceState("microphone", "starting");
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: getMicrophoneConstraints(settings),
+    });
+
+    // Another source was picked while the permission prompt was open
+    if (request !== sourceRequestId) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    useMediaStream(stream, "microphone");
+    openMicrophoneSettings = settings;
+    // Device labels are only exposed once permission has been granted
+    refreshInputDevices();
+
+    // Settings changed while the stream was opening are applied now
+    if (!sameMicrophoneSettings(microphoneSettings, settings)) {
+      startAudio();
+    }
+  } catch (error) {
+    if (request !== sourceRequestId) return;
+    console.error("Microphone access denied:", error);
+    const message =
+      error.name === "NotAllowedError"
+        ? "Microphone access was denied. Allow it in the browser or load an audio file instead."
+        : error.name === "OverconstrainedError"
+          ? "The selected input device is no longer available."
+          : `Could not open the microphone: ${error.message}`;
+
+    if (restarting && openMicrophoneSettings) {
+      // The old stream is still connected, so show the settings it runs with
+      Object.assign(microphoneSettings, openMicrophoneSettings);
+      syncMicrophoneControls();
+      setAudioSourceState("microphone", "active", message);
+    } else {
+      setAudioSourceState("microphone", "error", message);
+    }
+  }
+}
+
+function getMicrophoneConstraints(settings = microphoneSettings) {
+  const { deviceId, echoCancellation, noiseSuppression, autoGainControl } =
+    settings;
+  return {
+    deviceId: deviceId ? { exact: deviceId } : undefined,
+    echoCancellation,
+    noiseSuppression,
+    autoGainControl,
+  };
+}
+
+function sameMicrophoneSettings(a, b) {
+  return Object.keys(microphoneSettings).every((key) => a[key] === b[key]);
+}
+
+function setMicrophoneSetting(key, value) {
+  microphoneSettings[key] = value;
+
+  // Reopen the stream in place; connectAudioSource stops the old tracks once
+  // the new ones are flowing. A change made while the microphone is still
+  // opening is picked up by startAudio when it finishes.
+  if (audioInput.kind === "microphone" && audioInput.state === "active") {
+    startAudio();
+  }
+}
+
+function syncMicrophoneControls() {
+  const select = document.getElementById("inputDeviceSelect");
+  if (select) {
+    select.value = microphoneSettings.deviceId;
+  }
+  Object.keys(MICROPHONE_PROCESSING).forEach((key) => {
+    const toggle = document.getElementById(`${key}Toggle`);
+    if (toggle) {
+      toggle.checked = microphoneSettings[key];
+    }
+  });
+}
+
+function createMicrophoneControls() {
+  const controls = document.querySelector(".controls");
+
+  controls.appendChild(
+    createSelectControl(
+      "inputDeviceSelect",
+      "Input Device",
+      [{ value: "", label: "Default" }],
+      microphoneSettings.deviceId,
+      (value) => setMicrophoneSetting("deviceId", value),
+    ),
+  );
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+
+  Object.entries(MICROPHONE_PROCESSING).forEach(([key, labelText]) => {
+    const label = document.createElement("label");
+    label.style.cssText = "font-size: 12px;";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.id = `${key}Toggle`;
+    toggle.checked = microphoneSettings[key];
+    toggle.addEventListener("change", () =>
+      setMicrophoneSetting(key, toggle.checked),
+    );
+
+    label.appendChild(toggle);
+    label.append(` ${labelText}`);
+    group.appendChild(label);
+  });
+
+  controls.appendChild(group);
+
+  if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener(
+      "devicechange",
+      refreshInputDevices,
+    );
+  }
+  refreshInputDevices();
+}
+
+async function refreshInputDevices() {
+  const select = document.getElementById("inputDeviceSelect");
+  if (!select || !navigator.mediaDevices?.enumerateDevices) return;
+
+  let devices = [];
+  try {
+    devices = await navigator.mediaDevices.enumerateDevices();
+  } catch (error) {
+    console.warn("Could not list input devices:", error);
+    return;
+  }
+
+  const inputs = devices.filter(
+    (device) =>
+      device.kind === "audioinput" &&
+      device.deviceId &&
+      device.deviceId !== "default",
+  );
+
+  select.replaceChildren(
+    ...[
+      { value: "", label: "Default" },
+      ...inputs.map((device, i) => ({
+        value: device.deviceId,
+        label: device.label || `Microphone ${i + 1}`,
+      })),
+    ].map(createSelectOption),
+  );
+
+  if (
+    !inputs.some((device) => device.deviceId === microphoneSettings.deviceId)
+  ) {
+    microphoneSettings.deviceId = "";
+  }
+  select.value = microphoneSettings.deviceId;
+}
+
+function setInputGain(value) {
+  inputGain = value;
+  if (analysisInput) {
+    analysisInput.gain.value = inputGain;
+  }
+}
+
+function useMediaStream(stream, kind = "stream") {
+  ensureAudioGraph();
+  connectAudioSource(kind, audioContext.createMediaStreamSource(stream), {
+    stream,
+  });
+
+  // Tab and screen captures can be ended from the browser UI
+  stream.getAudioTracks().forEach((track) => {
+    track.addEventListener("ended", () => {
+      if (audioInput.stream === stream) {
+        stopAudioSource();
+      }
+    });
+  });
+}
+
+function ensureAudioGraph() {
+  if (audioContext) return;
+
+  audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  analyser = audioContext.createAnalyser();
+  analyser.smoothingTimeConstant = ANALYSER_SMOOTHING;
+
+  // Sources come and go, the analysis side of the graph stays connected to
+  // this node for the lifetime of the context
+  analysisInput = audioContext.createGain();
+  analysisInput.gain.value = inputGain;
+  analysisInput.connect(analyser);
+  setupWaveformAnalysis(analysisInput);
+  applySpectrumSettings();
+  console.log("Audio analysis setup complete");
+}
+
+function connectAudioSource(
+  kind,
+  node,
+  { stream = null, monitor = false } = {},
+) {
+  disconnectAudioSource();
+  sourceRequestId++;
+
+  source = node;
+  source.connect(analysisInput);
+  if (monitor) {
+    source.connect(audioContext.destination);
+  }
+
+  audioInput.stream = stream;
+  if (audioContext.state === "suspended") {
+    audioContext.resume();
+  }
+  setAudioSourceState(kind, "active");
+}
+
+function disconnectAudioSource() {
+  if (mediaRecorder && !isOfflineRendering) {
+    stopVideoRecording();
+  }
+
+  if (source && source === mediaElementSource && audioElement) {
+    audioElement.pause();
+  }
+
+  if (source) {
+    source.disconnect();
+    source = null;
+  }
+
+  if (audioInput.stream) {
+    audioInput.stream.getTracks().forEach((track) => track.stop());
+    audioInput.stream = null;
+  }
+}
+
+function stopAudioSource() {
+  sourceRequestId++;
+  disconnectAudioSource();
+  setAudioSourceState("none", "idle");
+}
+
+function setAudioSourceState(kind, state, error = null) {
+  audioInput.kind = kind;
+  audioInput.state = state;
+  audioInput.error = error;
+  updateAudioSourceDisplay();
+}
+
+function getAudioSourceState() {
+  const { kind, state, error } = audioInput;
+  return { kind, state, error };
+}
+
+function createAudioSourceStatus() {
+  const status = document.createElement("div");
+  status.id = "audioSourceStatus";
+  status.setAttribute("role", "status");
+  status.style.cssText =
+    "color: white; font-size: 12px; margin-top: 6px; max-width: 260px;";
+  document.querySelector(".audio-controls").appendChild(status);
+  updateAudioSourceDisplay();
+}
+
+function updateAudioSourceDisplay() {
+  const startBtn = document.getElementById("startBtn");
+  const microphoneBusy =
+    audioInput.kind === "microphone" && audioInput.state !== "error";
+
+  if (startBtn && isSimulationReady()) {
+    startBtn.disabled = microphoneBusy;
+    if (audioInput.kind === "microphone" && audioInput.state === "starting") {
+      startBtn.textContent = "Requesting Microphone...";
+    } else if (microphoneBusy) {
+      startBtn.textContent = "Listening...";
+    } else if (audioInput.kind === "none" || audioInput.state === "error") {
+      startBtn.textContent = "Start Audio";
+    } else {
+      startBtn.textContent = "Use Microphone";
+    }
+  }
+
+  const status = document.getElementById("audioSourceStatus");
+  if (!status) return;
+
+  status.style.color = audioInput.error ? "#ff8a80" : "white";
+  if (audioInput.error) {
+    status.textContent = audioInput.error;
+  } else if (audioInput.state === "active") {
+    status.textContent = `Source: ${audioInput.kind}`;
+  } else {
+    status.textContent = "";
+  }
+}
+
+let audioElement = null;
+let trackUrl = null;
+
+function handleFileUpload(e) {
+  addTracks(Array.from(e.target.files));
+  e.target.value = "";
+}
+
+function setupFileDrop() {
+  const setDropHighlight = (active) => {
+    canvas.style.outline = active ? "2px dashed rgba(255,255,255,0.6)" : "";
+  };
+
+  canvas.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDropHighlight(true);
+  });
+  canvas.addEventListener("dragleave", () => setDropHighlight(false));
+  canvas.addEventListener("drop", (e) => {
+    e.preventDefault();
+    setDropHighlight(false);
+    addTracks(
+      Array.from(e.dataTransfer.files).filter((file) =>
+        file.type.startsWith("audio/"),
+      ),
+    );
+  });
+}
+
+function addTracks(files) {
+  if (files.length === 0) return;
+
+  if (!isSimulationReady()) {
+    setAudioSourceState(
+      "file",
+      "error",
+      "WebAssembly module is still loading. Please wait and try again.",
+    );
+    return;
+  }
+
+  const firstNewTrack = playlist.tracks.length;
+  files.forEach((file, i) => {
+    playlist.tracks.push(file);
+    playlist.order.push(firstNewTrack + i);
+  });
+  console.log(`Added ${files.length} track(s) to the playlist`);
+
+  if (playlist.position === -1) {
+    playTrack(playlist.order.indexOf(firstNewTrack));
+  } else {
+    updatePlaylistDisplay();
+  }
+}
+
+function ensureAudioElement() {
+  if (audioElement) return;
+
+  const element = new Audio();
+  element.crossOrigin = "anonymous";
+  element.controls = true;
+
+  element.addEventListener("ended", handleTrackEnded);
+  element.addEventListener("play", () => {
+    if (element === audioElement) {
+      activateFileSource();
+    }
+  });
+  element.addEventListener("error", () => {
+    if (element !== audioElement || !currentAudioFile) return;
+    console.error("Error loading audio file:", element.error);
+    setAudioSourceState(
+      "file",
+      "error",
+      `Could not decode ${currentAudioFile.name}. Please try a different file.`,
+    );
+  });
+
+  audioElement = element;
+
+  // The element and its MediaElementSource live for the whole playlist;
+  // changing tracks only swaps the element's src
+  ensureAudioGraph();
+  mediaElementSource = audioContext.createMediaElementSource(audioElement);
+}
+
+function activateFileSource() {
+  if (audioInput.kind !== "file" || audioInput.state !== "active") {
+    connectAudioSource("file", mediaElementSource, { monitor: true });
+  }
+}
+
+function playTrack(position) {
+  const trackIndex = playlist.order[position];
+  const file = playlist.tracks[trackIndex];
+  if (!file) return;
+
+  console.log("Loading audio file:", file.name);
+  ensureAudioElement();
+
+  playlist.position = position;
+  currentAudioFile = file;
+
+  if (trackUrl) {
+    URL.revokeObjectURL(trackUrl);
+  }
+  trackUrl = URL.createObjectURL(file);
+  activateFileSource();
+  audioElement.src = trackUrl;
+  audioElement.loop = playlist.repeat === "one";
+  audioElement.play().catch((error) => {
+    console.warn("Playback did not start:", error);
+  });
+
+  if (playlist.modePerTrack) {
+    setVisualizationMode(trackIndex % visualizationModes.length);
+  }
+
+  if (!document.getElementById("audioPlayerControls")) {
+    showAudioControls();
+  }
+  updatePlaylistDisplay();
+}
+
+function getAdjacentTrack(step) {
+  const position = playlist.position + step;
+  if (position >= 0 && position < playlist.order.length) {
+    return position;
+  }
+  if (playlist.repeat === "all" && playlist.order.length > 0) {
+    return (position + playlist.order.length) % playlist.order.length;
+  }
+  return -1;
+}
+
+function handleTrackEnded() {
+  // A live recording covers a single track and stops when it ends
+  if (mediaRecorder) return;
+  playNextTrack();
+}
+
+function playNextTrack() {
+  const next = getAdjacentTrack(1);
+  if (next !== -1) {
+    playTrack(next);
+  }
+}
+
+function playPreviousTrack() {
+  if (audioElement && audioElement.currentTime > 3) {
+    audioElement.currentTime = 0;
+    return;
+  }
+
+  const previous = getAdjacentTrack(-1);
+  playTrack(previous !== -1 ? previous : playlist.position);
+}
+
+function setShuffle(enabled) {
+  playlist.shuffle = enabled;
+  const currentTrack = playlist.order[playlist.position];
+  playlist.order = playlist.tracks.map((_, i) => i);
+
+  if (playlist.shuffle) {
+    for (let i = playlist.order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [playlist.order[i], playlist.order[j]] = [
+        playlist.order[j],
+        playlist.order[i],
+      ];
+    }
+
+    // Keep the playing track where it is and shuffle what comes after it
+    if (currentTrack !== undefined) {
+      playlist.order.splice(playlist.order.indexOf(currentTrack), 1);
+      playlist.order.unshift(currentTrack);
+    }
+  }
+
+  playlist.position =
+    currentTrack === undefined ? -1 : playlist.order.indexOf(currentTrack);
+  updatePlaylistDisplay();
+}
+
+function cycleRepeatMode() {
+  const next =
+    (REPEAT_MODES.indexOf(playlist.repeat) + 1) % REPEAT_MODES.length;
+  playlist.repeat = REPEAT_MODES[next];
+  if (audioElement) {
+    audioElement.loop = playlist.repeat === "one";
+  }
+  updatePlaylistDisplay();
+}
+
+function clearPlaylist() {
+  playlist.tracks = [];
+  playlist.order = [];
+  playlist.position = -1;
+
+  if (trackUrl) {
+    URL.revokeObjectURL(trackUrl);
+    trackUrl = null;
+  }
+}
+
+function setupWaveformAnalysis(inputNode) {
+  channelSplitter = audioContext.createChannelSplitter(2);
+  waveformAnalysers = {
+    left: audioContext.createAnalyser(),
+    right: audioContext.createAnalyser(),
+  };
+
+  waveformAnalysers.left.fftSize = WAVEFORM_FFT_SIZE;
+  waveformAnalysers.right.fftSize = WAVEFORM_FFT_SIZE;
+
+  inputNode.connect(channelSplitter);
+  channelSplitter.connect(waveformAnalysers.left, 0);
+  channelSplitter.connect(waveformAnalysers.right, 1);
+}
+
+function captureWaveform(currentTime) {
+  if (source && waveformAnalysers) {
+    waveformAnalysers.left.getFloatTimeDomainData(leftWaveform);
+    waveformAnalysers.right.getFloatTimeDomainData(rightWaveform);
+
+    // Mono sources only feed the first splitter output
+    if (!rightWaveform.some((sample) => sample !== 0)) {
+      rightWaveform.set(leftWaveform);
+    }
+    return;
+  }
+
+  const time = currentTime * 0.001;
+  for (let i = 0; i < WAVEFORM_FFT_SIZE; i++) {
+    const phase = (i / WAVEFORM_FFT_SIZE) * Math.PI * 2;
+    leftWaveform[i] =
+      Math.sin(phase * 3 + time * 2) * 0.3 + Math.sin(phase * 7 + time) * 0.1;
+    rightWaveform[i] =
+      Math.sin(phase * 3 + time * 2 + 0.6) * 0.3 +
+      Math.sin(phase * 5 - time) * 0.1;
+  }
+}
+
+function downmixWaveform(waveformData) {
+  const step = leftWaveform.length / waveformData.length;
+  for (let i = 0; i < waveformData.length; i++) {
+    const index = Math.floor(i * step);
+    waveformData[i] = (leftWaveform[index] + rightWaveform[index]) * 0.5;
+  }
+}
+
+function applySpectrumSettings() {
+  const sampleRate = audioContext
+    ? audioContext.sampleRate
+    : DEFAULT_SAMPLE_RATE;
+
+  spectrumLayout = buildSpectrumLayout(spectrumSettings, sampleRate);
+  if (maxFrequencyBands) {
+    spectrumLayout = spectrumLayout.slice(0, maxFrequencyBands);
+  }
+  frequencyFrame = new Float32Array(spectrumLayout.length);
+
+  if (analyser) {
+    analyser.fftSize = spectrumSettings.fftSize;
+    dataArray = new Uint8Array(analyser.frequencyBinCount);
+  }
+
+  invokeSimulation(
+    "SetBandLayout",
+    spectrumLayout.map((band) => band.centerHz),
+  );
+  invokeSimulation(
+    "SetBandCrossovers",
+    LOW_MID_CROSSOVER_HZ,
+    MID_HIGH_CROSSOVER_HZ,
+  );
+}
+
+// Index of the first band centred at or above the frequency, or the band
+// count when every band is below it
+function findBandAbove(frequencyHz, layout = spectrumLayout) {
+  const index = layout.findIndex((band) => band.centerHz >= frequencyHz);
+  return index === -1 ? layout.length : index;
+}
+
+function buildSpectrumLayout({ fftSize, scale, bandCount }, sampleRate) {
+  const binCount = fftSize / 2;
+  const binWidth = sampleRate / fftSize;
+
+  if (scale === "linear") {
+    return Array.from({ length: binCount }, (_, bin) => ({
+      start: bin,
+      end: bin + 1,
+      centerHz: (bin + 0.5) * binWidth,
+    }));
+  }
+
+  const maxHz = Math.min(MAX_FREQUENCY_HZ, sampleRate / 2);
+  const ranges =
+    scale === "third-octave"
+      ? getThirdOctaveRanges(maxHz)
+      : getScaledRanges(scale, bandCount, maxHz);
+
+  return ranges.map(({ lowHz, highHz, centerHz }) => {
+    const start = Math.min(binCount - 1, Math.floor(lowHz / binWidth));
+    const end = Math.min(
+      binCount,
+      Math.max(start + 1, Math.ceil(highHz / binWidth)),
+    );
+    return { start, end, centerHz };
+  });
+}
+
+function getScaledRanges(scale, bandCount, maxHz) {
+  const toScale = scale === "mel" ? hzToMel : Math.log;
+  const fromScale = scale === "mel" ? melToHz : Math.exp;
+
+  const low = toScale(MIN_FREQUENCY_HZ);
+  const step = (toScale(maxHz) - low) / bandCount;
+
+  return Array.from({ length: bandCount }, (_, band) => ({
+    lowHz: fromScale(low + band * step),
+    highHz: fromScale(low + (band + 1) * step),
+    centerHz: fromScale(low + (band + 0.5) * step),
+  }));
+}
+
+function getThirdOctaveRanges(maxHz) {
+  const ranges = [];
+  const halfBand = Math.pow(2, 1 / 6);
+
+  // Nominal 1/3-octave centres are 1 kHz * 2^(k/3); k = -17 is the 20 Hz band
+  for (let k = -17; ; k++) {
+    const centerHz = 1000 * Math.pow(2, k / 3);
+    if (centerHz > maxHz) break;
+
+    ranges.push({
+      lowHz: centerHz / halfBand,
+      highHz: Math.min(maxHz, centerHz * halfBand),
+      centerHz,
+    });
+  }
+
+  return ranges;
+}
 
-    document.getElementById("startBtn").textContent = "Playing File";
-    document.getElementById("startBtn").disabled = true;
-  }
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
 }
 
-function setupAudioAnalysis(audioSource) {
-  audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  analyser = audioContext.createAnalyser();
+function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
 
-  analyser.fftSize = 256;
-  analyser.smoothingTimeConstant = 0.3;
+function mapSpectrum(bins, frequencyData, layout = spectrumLayout) {
+  for (let band = 0; band < layout.length; band++) {
+    const { start, end } = layout[band];
 
-  if (audioSource instanceof MediaStream) {
-    source = audioContext.createMediaStreamSource(audioSource);
-  } else {
-    source = audioContext.createMediaElementSource(audioSource);
-    source.connect(audioContext.destination);
+    let sum = 0;
+    for (let bin = start; bin < end; bin++) {
+      sum += bins[bin];
+    }
+    frequencyData[band] = sum / ((end - start) * 255.0);
   }
-
-  source.connect(analyser);
-  dataArray = new Uint8Array(analyser.frequencyBinCount);
-  console.log("Audio analysis setup complete");
 }
 
 function startVisualization() {
@@ -174,204 +3343,138 @@ function animate(currentTime) {
     lastTime = currentTime;
   }
 
-  const deltaTime = Math.min((currentTime - lastTime) / 1000.0, 0.1);
+  const frameInterval = currentTime - lastTime;
+  const deltaTime = Math.min(frameInterval / 1000.0, 0.1);
   lastTime = currentTime;
+  const frameStart = performance.now();
 
-  ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-  let frequencyData = new Array(128).fill(0);
+  const frequencyData = acquireFrequencyFrame();
+  frequencyData.fill(0);
   let hasAudioData = false;
 
-  if (analyser && dataArray) {
+  if (source && analyser && dataArray) {
     analyser.getByteFrequencyData(dataArray);
     hasAudioData = true;
 
-    for (let i = 0; i < Math.min(dataArray.length, 128); i++) {
-      frequencyData[i] = dataArray[i] / 255.0;
-    }
+    mapSpectrum(dataArray, frequencyData);
   } else {
     const time = currentTime * 0.001;
-    for (let i = 0; i < 128; i++) {
-      const baseFreq = (Math.sin(time * 1.5 + i * 0.2) + 1) * 0.25;
-      const variation = Math.sin(time * 3 + i * 0.1) * 0.15;
+    for (let i = 0; i < frequencyData.length; i++) {
+      const position = (i / frequencyData.length) * 128;
+      const baseFreq = (Math.sin(time * 1.5 + position * 0.2) + 1) * 0.25;
+      const variation = Math.sin(time * 3 + position * 0.1) * 0.15;
       const noise = Math.random() * 0.1;
       frequencyData[i] = Math.max(0, Math.min(1, baseFreq + variation + noise));
     }
   }
 
-  let rendered = false;
-
-  if (dotnetInstance) {
-    try {
-      dotnetInstance.UpdateAudioData(JSON.stringify(frequencyData));
-      dotnetInstance.UpdateParticles(deltaTime, mouseX, mouseY, mousePressed);
+  captureWaveform(currentTime);
+  renderFrame(frequencyData, deltaTime, {
+    x: mouseX,
+    y: mouseY,
+    pressed: mousePressed,
+  });
 
-      renderParticles();
-      rendered = true;
-    } catch (error) {
-      console.warn("WebAssembly rendering failed, using fallback:", error);
+  if (hudVisible) {
+    if (frameInterval > 0) {
+      hudStats.fps += (1000 / frameInterval - hudStats.fps) * HUD_SMOOTHING;
     }
+    drawHudOverlay(frequencyData);
   }
 
-  if (!rendered) {
-    renderDemoVisualization(frequencyData);
-  }
+  adaptParticleCount(
+    simulationWorker ? workerFrameCost : performance.now() - frameStart,
+    currentTime,
+  );
 }
 
-function renderParticles() {
-  if (!dotnetInstance) return;
-
-  const particleCount = dotnetInstance.GetParticleCount();
-
-  for (let i = 0; i < particleCount; i++) {
-    renderParticleEffect(i);
+function renderFrame(frequencyData, deltaTime, pointer) {
+  if (simulationWorker) {
+    postWorkerFrame(frequencyData, deltaTime, pointer);
+    return;
   }
-}
-
-function renderParticleEffect(particleIndex) {
-  if (!analyser || !dataArray) return;
-
-  const time = Date.now() * 0.001;
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
-
-  const totalEnergy = dataArray
-    ? Array.from(dataArray).reduce((a, b) => a + b, 0) /
-      (dataArray.length * 255)
-    : 0.5;
-  const lowEnergy = dataArray
-    ? Array.from(dataArray.slice(0, 20)).reduce((a, b) => a + b, 0) / (20 * 255)
-    : 0.5;
-  const midEnergy = dataArray
-    ? Array.from(dataArray.slice(20, 80)).reduce((a, b) => a + b, 0) /
-      (60 * 255)
-    : 0.5;
-  const highEnergy = dataArray
-    ? Array.from(dataArray.slice(80, 128)).reduce((a, b) => a + b, 0) /
-      (48 * 255)
-    : 0.5;
-
-  const systems = [
-    {
-      energy: lowEnergy,
-      baseAngle: particleIndex * 0.1,
-      radius: 80,
-      speed: 0.3,
-      color: 240,
-      size: 3,
-    },
-    {
-      energy: midEnergy,
-      baseAngle: particleIndex * 0.15,
-      radius: 120,
-      speed: 0.5,
-      color: 120,
-      size: 2,
-    },
-    {
-      energy: highEnergy,
-      baseAngle: particleIndex * 0.2,
-      radius: 160,
-      speed: 0.8,
-      color: 0,
-      size: 1.5,
-    },
-  ];
 
-  systems.forEach((system, sysIndex) => {
-    if (system.energy > 0.1) {
-      const angle = system.baseAngle + time * system.speed + sysIndex;
-      const radiusVariation = Math.sin(time * 2 + particleIndex * 0.1) * 30;
-      const finalRadius = system.radius + system.energy * 100 + radiusVariation;
+  let rendered = false;
 
-      const x = centerX + Math.cos(angle) * finalRadius;
-      const y = centerY + Math.sin(angle) * finalRadius;
+  if (dotnetInstance) {
+    try {
+      commitFrequencyFrame(frequencyData);
 
-      const hue = (system.color + time * 30 + particleIndex * 5) % 360;
-      const size = system.size + system.energy * 8;
+      const waveformData = acquireWaveformFrame();
+      downmixWaveform(waveformData);
+      commitWaveformFrame(waveformData);
 
-      const gradient = ctx.createRadialGradient(x, y, 0, x, y, size * 3);
-      gradient.addColorStop(
-        0,
-        `hsla(${hue}, 90%, 70%, ${system.energy * 0.8})`,
-      );
-      gradient.addColorStop(
-        0.5,
-        `hsla(${hue}, 80%, 50%, ${system.energy * 0.4})`,
+      const { x, y, pressed } = pointer || { x: -1, y: -1, pressed: false };
+      if (sessionRecording) {
+        recordSessionFrame(frequencyData, waveformData, deltaTime, [
+          x,
+          y,
+          pressed,
+        ]);
+      }
+      const updateStart = performance.now();
+      dotnetInstance.UpdateParticles(deltaTime, x, y, pressed);
+      const particleData = readParticleData();
+      const renderStart = performance.now();
+      beatPulse = updateBeatPulse(
+        beatPulse,
+        dotnetInstance.IsBeat(),
+        deltaTime,
       );
-      gradient.addColorStop(1, `hsla(${hue}, 70%, 30%, 0)`);
-
-      ctx.fillStyle = gradient;
-      ctx.beginPath();
-      ctx.arc(x, y, size * 3, 0, Math.PI * 2);
-      ctx.fill();
-
-      ctx.fillStyle = `hsla(${hue}, 95%, 85%, ${system.energy * 0.9})`;
-      ctx.beginPath();
-      ctx.arc(x, y, size, 0, Math.PI * 2);
-      ctx.fill();
 
-      if (system.energy > 0.7) {
-        for (let burst = 0; burst < 3; burst++) {
-          const burstAngle = angle + burst * Math.PI * 0.67;
-          const burstDistance = size * 2 + Math.sin(time * 8 + burst) * 10;
-          const burstX = x + Math.cos(burstAngle) * burstDistance;
-          const burstY = y + Math.sin(burstAngle) * burstDistance;
-
-          ctx.fillStyle = `hsla(${hue + 60}, 100%, 90%, ${system.energy * 0.6})`;
-          ctx.beginPath();
-          ctx.arc(burstX, burstY, size * 0.3, 0, Math.PI * 2);
-          ctx.fill();
-        }
+      const webglAvailable = drawFrame(ctx, {
+        width: viewportWidth,
+        height: viewportHeight,
+        particleData,
+        webglRenderer: particleRenderer === "webgl" ? webglRenderer : null,
+        mode: currentMode,
+        modeLabel: getModeName(currentMode),
+        overlay: getModeOverlay(currentMode),
+        sensitivity,
+        leftWaveform,
+        rightWaveform,
+        bpm: dotnetInstance.GetBpm(),
+        beatPhase: dotnetInstance.GetBeatPhase(),
+        beatPulse,
+        energies: {
+          low: dotnetInstance.GetLowFreqEnergy(),
+          mid: dotnetInstance.GetMidFreqEnergy(),
+          high: dotnetInstance.GetHighFreqEnergy(),
+        },
+        effects: postEffects,
+        palette: activePalette,
+      });
+      if (!webglAvailable) {
+        webglRenderer = null;
+        setParticleRenderer("canvas");
       }
-
-      if (totalEnergy > 0.5 && Math.random() < system.energy * 0.3) {
-        ctx.strokeStyle = `hsla(${hue}, 80%, 60%, ${system.energy * 0.5})`;
-        ctx.lineWidth = 1 + system.energy * 2;
-        ctx.lineCap = "round";
-        ctx.beginPath();
-        ctx.moveTo(centerX, centerY);
-        ctx.lineTo(x, y);
-        ctx.stroke();
+      if (hudVisible) {
+        updateHudStats({
+          updateTime: renderStart - updateStart,
+          renderTime: performance.now() - renderStart,
+          activeParticles: dotnetInstance.GetActiveParticleCount(),
+          centroidHz: dotnetInstance.GetSpectralCentroidHz(),
+          energies: {
+            total: dotnetInstance.GetTotalEnergy(),
+            low: dotnetInstance.GetLowFreqEnergy(),
+            mid: dotnetInstance.GetMidFreqEnergy(),
+            high: dotnetInstance.GetHighFreqEnergy(),
+          },
+        });
       }
+      rendered = true;
+    } catch (error) {
+      console.warn("WebAssembly rendering failed, using fallback:", error);
     }
-  });
-}
-
-function hsvToRgb(h, s, v) {
-  let r, g, b;
-  const i = Math.floor(h * 6);
-  const f = h * 6 - i;
-  const p = v * (1 - s);
-  const q = v * (1 - f * s);
-  const t = v * (1 - (1 - f) * s);
-
-  switch (i % 6) {
-    case 0:
-      ((r = v), (g = t), (b = p));
-      break;
-    case 1:
-      ((r = q), (g = v), (b = p));
-      break;
-    case 2:
-      ((r = p), (g = v), (b = t));
-      break;
-    case 3:
-      ((r = p), (g = q), (b = v));
-      break;
-    case 4:
-      ((r = t), (g = p), (b = v));
-      break;
-    case 5:
-      ((r = v), (g = p), (b = q));
-      break;
   }
 
-  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+  if (!rendered) {
+    drawFade(ctx, viewportWidth, viewportHeight);
+    renderDemoVisualization(frequencyData);
+  }
 }
 
-function showAudioControls(fileName) {
+function showAudioControls() {
   const controlsContainer = document.querySelector(".audio-controls");
 
   const existingControls = document.getElementById("audioPlayerControls");
@@ -391,7 +3494,7 @@ function showAudioControls(fileName) {
     `;
 
   const fileNameDiv = document.createElement("div");
-  fileNameDiv.textContent = `${fileName}`;
+  fileNameDiv.id = "trackTitle";
   fileNameDiv.style.cssText =
     "margin-bottom: 10px; font-size: 14px; font-weight: bold;";
 
@@ -399,24 +3502,591 @@ function showAudioControls(fileName) {
 
   audioControls.appendChild(fileNameDiv);
   audioControls.appendChild(audioElement);
+  audioControls.appendChild(createPlaylistControls());
+  audioControls.appendChild(createExportControls());
 
   controlsContainer.appendChild(audioControls);
+  updateExportControls();
+}
+
+function createPlaylistControls() {
+  const playlistControls = document.createElement("div");
+
+  const transport = document.createElement("div");
+  transport.style.cssText =
+    "display: flex; gap: 8px; align-items: center; margin-top: 10px; flex-wrap: wrap;";
+
+  const addButton = (id, text, onClick) => {
+    const button = document.createElement("button");
+    button.id = id;
+    button.className = "btn btn-info";
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    transport.appendChild(button);
+    return button;
+  };
+
+  addButton("prevTrackBtn", "Previous", playPreviousTrack);
+  addButton("nextTrackBtn", "Next", playNextTrack);
+  addButton("shuffleBtn", "Shuffle", () => setShuffle(!playlist.shuffle));
+  addButton("repeatBtn", "Repeat", cycleRepeatMode);
+
+  const modeLabel = document.createElement("label");
+  modeLabel.style.cssText = "font-size: 12px;";
+  const modeToggle = document.createElement("input");
+  modeToggle.type = "checkbox";
+  modeToggle.id = "modePerTrackToggle";
+  modeToggle.checked = playlist.modePerTrack;
+  modeToggle.addEventListener("change", () => {
+    playlist.modePerTrack = modeToggle.checked;
+  });
+  modeLabel.appendChild(modeToggle);
+  modeLabel.append(" Mode per track");
+  transport.appendChild(modeLabel);
+
+  const trackList = document.createElement("ol");
+  trackList.id = "playlistTracks";
+  trackList.style.cssText =
+    "margin: 10px 0 0; padding-left: 20px; max-height: 120px; overflow-y: auto; font-size: 12px;";
+
+  playlistControls.appendChild(transport);
+  playlistControls.appendChild(trackList);
+  return playlistControls;
+}
+
+function updatePlaylistDisplay() {
+  const title = document.getElementById("trackTitle");
+  const trackList = document.getElementById("playlistTracks");
+  if (!title || !trackList) return;
+
+  const total = playlist.order.length;
+  title.textContent = currentAudioFile
+    ? `${currentAudioFile.name} (${playlist.position + 1} / ${total})`
+    : "";
+
+  document.getElementById("shuffleBtn").style.opacity = playlist.shuffle
+    ? "1"
+    : "0.5";
+  document.getElementById("repeatBtn").textContent =
+    `Repeat: ${playlist.repeat}`;
+  document.getElementById("nextTrackBtn").disabled = getAdjacentTrack(1) === -1;
+
+  trackList.replaceChildren(
+    ...playlist.order.map((trackIndex, position) => {
+      const item = document.createElement("li");
+      item.textContent = playlist.tracks[trackIndex].name;
+      item.style.cursor = "pointer";
+      item.style.opacity = position === playlist.position ? "1" : "0.6";
+      item.style.fontWeight = position === playlist.position ? "bold" : "";
+      item.addEventListener("click", () => playTrack(position));
+      return item;
+    }),
+  );
+}
+
+function createExportControls() {
+  const exportControls = document.createElement("div");
+  exportControls.style.cssText =
+    "display: flex; gap: 8px; align-items: center; margin-top: 10px; flex-wrap: wrap;";
+
+  const recordBtn = document.createElement("button");
+  recordBtn.id = "recordBtn";
+  recordBtn.className = "btn btn-warning";
+  recordBtn.addEventListener("click", () => {
+    if (mediaRecorder) {
+      stopVideoRecording();
+    } else {
+      startVideoRecording();
+    }
+  });
+
+  const offlineBtn = document.createElement("button");
+  offlineBtn.id = "offlineRenderBtn";
+  offlineBtn.className = "btn btn-info";
+  offlineBtn.textContent = "Render Offline";
+  offlineBtn.addEventListener("click", renderOfflineVideo);
+
+  const status = document.createElement("div");
+  status.id = "exportStatus";
+  status.style.cssText = "font-size: 12px; opacity: 0.8;";
+
+  exportControls.appendChild(recordBtn);
+  exportControls.appendChild(offlineBtn);
+  exportControls.appendChild(status);
+  return exportControls;
+}
+
+function updateExportControls() {
+  const recordBtn = document.getElementById("recordBtn");
+  const offlineBtn = document.getElementById("offlineRenderBtn");
+  if (!recordBtn || !offlineBtn) return;
+
+  recordBtn.textContent =
+    mediaRecorder && !isOfflineRendering ? "Stop Recording" : "Record Video";
+  recordBtn.disabled = isOfflineRendering;
+  offlineBtn.disabled =
+    isOfflineRendering ||
+    Boolean(mediaRecorder) ||
+    !isSimulationReady() ||
+    !isOfflineExportSupported();
+  offlineBtn.title = isOfflineExportSupported()
+    ? ""
+    : "Offline rendering needs a browser with WebCodecs";
+}
+
+function setExportStatus(message) {
+  const status = document.getElementById("exportStatus");
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+function createMediaRecorder(stream, onStop) {
+  const mimeType = RECORDING_MIME_TYPES.find((type) =>
+    MediaRecorder.isTypeSupported(type),
+  );
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+  const chunks = [];
+
+  recorder.addEventListener("dataavailable", (e) => {
+    if (e.data.size > 0) {
+      chunks.push(e.data);
+    }
+  });
+
+  recorder.addEventListener("stop", () => {
+    stream.getTracks().forEach((track) => track.stop());
+    downloadRecording(
+      new Blob(chunks, { type: recorder.mimeType || "video/webm" }),
+    );
+    onStop();
+  });
+
+  return recorder;
+}
+
+function downloadRecording(blob) {
+  const baseName = currentAudioFile
+    ? currentAudioFile.name.replace(/\.[^.]+$/, "")
+    : "visualizer";
+
+  downloadFile(blob, `${baseName}-visualizer.webm`);
+}
+
+function downloadFile(blob, fileName) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function startVideoRecording() {
+  if (!audioElement || !audioContext || !source || mediaRecorder) return;
+
+  recordingDestination = audioContext.createMediaStreamDestination();
+  source.connect(recordingDestination);
+
+  const stream = new MediaStream([
+    ...canvas.captureStream(EXPORT_FPS).getVideoTracks(),
+    ...recordingDestination.stream.getAudioTracks(),
+  ]);
+
+  mediaRecorder = createMediaRecorder(stream, () => {
+    if (source && recordingDestination) {
+      source.disconnect(recordingDestination);
+    }
+    if (audioElement) {
+      audioElement.loop = playlist.repeat === "one";
+    }
+    recordingDestination = null;
+    mediaRecorder = null;
+    setExportStatus("Recording saved");
+    updateExportControls();
+  });
+
+  audioElement.loop = false;
+  audioElement.currentTime = 0;
+  audioElement.addEventListener("ended", stopVideoRecording, { once: true });
+
+  mediaRecorder.start();
+  audioElement.play();
+  setExportStatus("Recording...");
+  updateExportControls();
+}
+
+function stopVideoRecording() {
+  if (mediaRecorder && mediaRecorder.state !== "inactive") {
+    mediaRecorder.stop();
+  }
+}
+
+async function renderOfflineVideo() {
+  if (!currentAudioFile || !audioContext || !isSimulationReady()) return;
+  if (isOfflineRendering || mediaRecorder) return;
+  if (!isOfflineExportSupported()) {
+    setExportStatus("Offline render needs WebCodecs");
+    return;
+  }
+
+  isOfflineRendering = true;
+  offlineExportCancelled = false;
+  updateExportControls();
+  updateSessionControls();
+
+  isRunning = false;
+  if (animationId) {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+
+  // The export reseeds and runs the whole track through the simulation, so
+  // the live state is put back afterwards as it is after a session replay
+  let previousState = null;
+
+  try {
+    if (audioElement) {
+      audioElement.pause();
+    }
+
+    previousState = await callSimulation("SaveState");
+
+    setExportStatus("Decoding audio...");
+    const audioBuffer = await audioContext.decodeAudioData(
+      await currentAudioFile.arrayBuffer(),
+    );
+    // The decoded track stays in memory for the whole export
+    if (audioBuffer.duration > MAX_EXPORT_SECONDS) {
+      throw new Error(
+        `tracks longer than ${MAX_EXPORT_SECONDS / 60} minutes are not supported`,
+      );
+    }
+
+    downloadRecording(await encodeOfflineVideo(audioBuffer));
+    setExportStatus("Offline render saved");
+  } catch (error) {
+    console.error("Offline render failed:", error);
+    setExportStatus(`Offline render failed: ${error.message}`);
+  } finally {
+    leftWaveform = liveWaveforms.left;
+    rightWaveform = liveWaveforms.right;
+    try {
+      if (previousState !== null) {
+        await callSimulation("LoadState", previousState);
+      }
+    } catch (error) {
+      console.error("Could not restore the simulation after export:", error);
+    }
+    applySpectrumSettings();
+    isOfflineRendering = false;
+    updateExportControls();
+    updateSessionControls();
+    startVisualization();
+  }
+}
+
+function isOfflineExportSupported() {
+  return (
+    typeof VideoEncoder === "function" && typeof AudioEncoder === "function"
+  );
+}
+
+// Every analysed frame is simulated, drawn and handed to the encoder before
+// the audio moves on, and the audio is encoded from the decoded track, so the
+// file does not depend on how fast this machine renders.
+async function encodeOfflineVideo(audioBuffer) {
+  // 4:2:0 video needs even dimensions, so an odd pixel is cropped off. The
+  // canvas may belong to the worker, so its size comes from the viewport.
+  const canvasWidth = Math.round(viewportWidth * pixelRatio);
+  const canvasHeight = Math.round(viewportHeight * pixelRatio);
+  const width = canvasWidth - (canvasWidth % 2);
+  const height = canvasHeight - (canvasHeight % 2);
+  const video = await pickExportVideoCodec(width, height);
+
+  // Opus in WebM without a channel map carries at most two channels
+  const audioConfig = {
+    codec: "opus",
+    sampleRate: audioBuffer.sampleRate,
+    numberOfChannels: Math.min(2, audioBuffer.numberOfChannels),
+    bitrate: EXPORT_AUDIO_BITRATE,
+  };
+  if (!(await AudioEncoder.isConfigSupported(audioConfig)).supported) {
+    throw new Error("Opus audio encoding is not supported");
+  }
+
+  const writer = createWebMWriter({
+    video: { codecId: video.codecId, width, height },
+    audio: {
+      codecId: "A_OPUS",
+      sampleRate: audioConfig.sampleRate,
+      channels: audioConfig.numberOfChannels,
+    },
+  });
+
+  const layout = buildSpectrumLayout(
+    spectrumSettings,
+    audioBuffer.sampleRate,
+  ).slice(0, maxFrequencyBands || undefined);
+  spectrumLayout = layout;
+  invokeSimulation(
+    "SetBandLayout",
+    layout.map((band) => band.centerHz),
+  );
+
+  // Exports always start from the same seed so re-rendering a file
+  // reproduces the same video
+  invokeSimulation("SetSeed", EXPORT_SEED);
+  invokeSimulation("ResetSimulation");
+
+  let encoderError = null;
+  const videoEncoder = new VideoEncoder({
+    output: (chunk) => writer.addVideoChunk(chunk),
+    error: (error) => {
+      encoderError = error;
+    },
+  });
+  videoEncoder.configure(video.config);
+
+  const frameDuration = 1e6 / EXPORT_FPS;
+  try {
+    await analyseAudioOffline(audioBuffer, layout, async (frame, index) => {
+      const videoFrame = await renderOfflineFrame(frame, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration),
+        visibleRect: { x: 0, y: 0, width, height },
+      });
+      videoEncoder.encode(videoFrame, {
+        keyFrame: index % EXPORT_KEYFRAME_INTERVAL === 0,
+      });
+      videoFrame.close();
+
+      await waitForEncoderQueue(videoEncoder);
+      if (encoderError) throw encoderError;
+    });
+    await videoEncoder.flush();
+  } finally {
+    if (videoEncoder.state !== "closed") {
+      videoEncoder.close();
+    }
+  }
+  if (encoderError) throw encoderError;
+
+  setExportStatus("Encoding audio...");
+  await encodeOfflineAudio(audioBuffer, audioConfig, writer);
+  return writer.finish(audioBuffer.duration * 1000);
+}
+
+async function pickExportVideoCodec(width, height) {
+  for (const { codec, codecId } of EXPORT_VIDEO_CODECS) {
+    const config = {
+      codec,
+      width,
+      height,
+      bitrate: EXPORT_VIDEO_BITRATE,
+      framerate: EXPORT_FPS,
+    };
+    if ((await VideoEncoder.isConfigSupported(config)).supported) {
+      return { codecId, config };
+    }
+  }
+  throw new Error("no WebM video codec is supported");
+}
+
+async function encodeOfflineAudio(audioBuffer, config, writer) {
+  let encoderError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => writer.addAudioChunk(chunk, metadata),
+    error: (error) => {
+      encoderError = error;
+    },
+  });
+  encoder.configure(config);
+
+  const { sampleRate, numberOfChannels } = config;
+  const chunkLength = Math.round(sampleRate * EXPORT_AUDIO_CHUNK_SECONDS);
+
+  try {
+    for (let start = 0; start < audioBuffer.length; start += chunkLength) {
+      const length = Math.min(chunkLength, audioBuffer.length - start);
+      const samples = new Float32Array(length * numberOfChannels);
+      for (let channel = 0; channel < numberOfChannels; channel++) {
+        audioBuffer.copyFromChannel(
+          samples.subarray(channel * length, (channel + 1) * length),
+          channel,
+          start,
+        );
+      }
+
+      const audioData = new AudioData({
+        format: "f32-planar",
+        sampleRate,
+        numberOfFrames: length,
+        numberOfChannels,
+        timestamp: Math.round((start / sampleRate) * 1e6),
+        data: samples,
+      });
+      encoder.encode(audioData);
+      audioData.close();
+
+      await waitForEncoderQueue(encoder);
+      if (encoderError) throw encoderError;
+    }
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== "closed") {
+      encoder.close();
+    }
+  }
+  if (encoderError) throw encoderError;
+}
+
+// Holds the producer back until the encoder has room, so work is never queued
+// faster than it is encoded. The timeout covers an encoder that closed on an
+// error and will not dequeue again.
+async function waitForEncoderQueue(encoder) {
+  while (
+    encoder.state === "configured" &&
+    encoder.encodeQueueSize > MAX_EXPORT_ENCODE_QUEUE
+  ) {
+    await new Promise((resolve) => {
+      encoder.addEventListener("dequeue", resolve, { once: true });
+      setTimeout(resolve, EXPORT_QUEUE_POLL_MS);
+    });
+  }
+}
+
+// Steps the track through an OfflineAudioContext one video frame at a time.
+// Each frame's analysis goes to onFrame, and the audio only moves on once the
+// promise it returns settles, so nothing is kept from one frame to the next.
+async function analyseAudioOffline(audioBuffer, layout, onFrame) {
+  const offlineContext = new OfflineAudioContext(
+    1,
+    audioBuffer.length,
+    audioBuffer.sampleRate,
+  );
+
+  const bufferSource = offlineContext.createBufferSource();
+  bufferSource.buffer = audioBuffer;
+
+  const offlineAnalyser = offlineContext.createAnalyser();
+  offlineAnalyser.fftSize = spectrumSettings.fftSize;
+  offlineAnalyser.smoothingTimeConstant = ANALYSER_SMOOTHING;
+
+  const splitter = offlineContext.createChannelSplitter(2);
+  const leftAnalyser = offlineContext.createAnalyser();
+  const rightAnalyser = offlineContext.createAnalyser();
+  leftAnalyser.fftSize = WAVEFORM_FFT_SIZE;
+  rightAnalyser.fftSize = WAVEFORM_FFT_SIZE;
+
+  bufferSource.connect(offlineAnalyser);
+  bufferSource.connect(splitter);
+  bufferSource.connect(offlineContext.destination);
+  splitter.connect(leftAnalyser, 0);
+  splitter.connect(rightAnalyser, 1);
+
+  const bins = new Uint8Array(offlineAnalyser.frequencyBinCount);
+  const left = new Float32Array(WAVEFORM_FFT_SIZE);
+  const right = new Float32Array(WAVEFORM_FFT_SIZE);
+  const frame = {
+    frequency: new Float32Array(layout.length),
+    left: new Float32Array(WAVEFORM_SAMPLES),
+    right: new Float32Array(WAVEFORM_SAMPLES),
+  };
+
+  // suspend() rejects times at or past the end of the buffer, so stop one frame short
+  const frameCount = Math.max(
+    0,
+    Math.floor(audioBuffer.duration * EXPORT_FPS) - 1,
+  );
+  let failure = null;
+
+  for (let index = 0; index < frameCount; index++) {
+    offlineContext.suspend((index + 1) / EXPORT_FPS).then(async () => {
+      // After a failure the rest of the track still has to be run through,
+      // since an OfflineAudioContext cannot be stopped
+      if (!failure) {
+        try {
+          if (offlineExportCancelled) {
+            throw new Error("cancelled");
+          }
+
+          offlineAnalyser.getByteFrequencyData(bins);
+          leftAnalyser.getFloatTimeDomainData(left);
+          rightAnalyser.getFloatTimeDomainData(right);
+          if (!right.some((sample) => sample !== 0)) {
+            right.set(left);
+          }
+
+          mapSpectrum(bins, frame.frequency, layout);
+          downsampleWaveform(left, frame.left);
+          downsampleWaveform(right, frame.right);
+          await onFrame(frame, index);
+
+          if (index % EXPORT_FPS === 0) {
+            setExportStatus(`Rendering frame ${index + 1} / ${frameCount}`);
+          }
+        } catch (error) {
+          failure = error;
+        }
+      }
+      offlineContext.resume();
+    });
+  }
+
+  bufferSource.start(0);
+  await offlineContext.startRendering();
+  if (failure) throw failure;
+  return frameCount;
+}
+
+function downsampleWaveform(samples, result) {
+  const step = samples.length / result.length;
+  for (let i = 0; i < result.length; i++) {
+    result[i] = samples[Math.floor(i * step)];
+  }
+  return result;
+}
+
+// Draws one analysed frame and resolves with it as a VideoFrame
+async function renderOfflineFrame(frame, capture) {
+  const frequencyData = acquireFrequencyFrame();
+  frequencyData.set(frame.frequency);
+
+  leftWaveform = frame.left;
+  rightWaveform = frame.right;
+
+  if (simulationWorker) {
+    return sendWorkerFrame(frequencyData, 1 / EXPORT_FPS, null, capture);
+  }
+
+  renderFrame(frequencyData, 1 / EXPORT_FPS, null);
+  return new VideoFrame(canvas, capture);
 }
 
 function resetVisualizer() {
   console.log("Resetting visualizer...");
 
+  finishSessionRecording();
+  stopVideoRecording();
+  if (isOfflineRendering) {
+    offlineExportCancelled = true;
+  }
+  currentAudioFile = null;
+
   isRunning = false;
   if (animationId) {
     cancelAnimationFrame(animationId);
     animationId = null;
   }
 
+  stopAudioSource();
   if (audioElement) {
     audioElement.pause();
     audioElement.currentTime = 0;
     audioElement = null;
   }
+  clearPlaylist();
 
   if (audioContext && audioContext.state !== "closed") {
     audioContext.close();
@@ -425,12 +4095,15 @@ function resetVisualizer() {
 
   analyser = null;
   dataArray = null;
-  source = null;
+  analysisInput = null;
+  mediaElementSource = null;
+  channelSplitter = null;
+  waveformAnalysers = null;
 
   if (ctx && canvas) {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.clearRect(0, 0, viewportWidth, viewportHeight);
     ctx.fillStyle = "black";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, viewportWidth, viewportHeight);
   }
 
   const audioControls = document.getElementById("audioPlayerControls");
@@ -440,14 +4113,11 @@ function resetVisualizer() {
 
   document.getElementById("audioUpload").value = "";
 
-  const startBtn = document.getElementById("startBtn");
-  startBtn.textContent = "Start Audio";
-  startBtn.disabled = false;
-
-  if (dotnetInstance) {
+  if (isSimulationReady()) {
     try {
-      dotnetInstance.SetSensitivity(1.0);
-      dotnetInstance.SetVisualizationMode(0);
+      resetAudioControls();
+      resetParticleControls();
+      applyPreset(activePreset);
     } catch (error) {
       console.warn("Error resetting WebAssembly state:", error);
     }
@@ -465,16 +4135,21 @@ function resetVisualizer() {
 function renderDemoVisualization(frequencyData) {
   if (!ctx || !canvas) return;
 
-  const centerX = canvas.width / 2;
-  const centerY = canvas.height / 2;
+  const centerX = viewportWidth / 2;
+  const centerY = viewportHeight / 2;
   const time = Date.now() * 0.001;
 
   const totalEnergy =
     frequencyData.reduce((a, b) => a + b, 0) / frequencyData.length;
-  const lowFreqs = frequencyData.slice(0, 32).reduce((a, b) => a + b, 0) / 32;
-  const midFreqs = frequencyData.slice(32, 96).reduce((a, b) => a + b, 0) / 64;
-  const highFreqs =
-    frequencyData.slice(96, 128).reduce((a, b) => a + b, 0) / 32;
+  const lowEnd = findBandAbove(LOW_MID_CROSSOVER_HZ);
+  const midEnd = findBandAbove(MID_HIGH_CROSSOVER_HZ);
+  const average = (start, end) =>
+    frequencyData.slice(start, end).reduce((a, b) => a + b, 0) /
+    Math.max(1, end - start);
+
+  const lowFreqs = average(0, lowEnd);
+  const midFreqs = average(lowEnd, midEnd);
+  const highFreqs = average(midEnd, frequencyData.length);
 
   for (let ring = 0; ring < 5; ring++) {
     const ringRadius = 60 + ring * 40;
@@ -493,14 +4168,18 @@ function renderDemoVisualization(frequencyData) {
         const hue = (i * 2.8125 + ring * 72 + time * 30) % 360;
         const alpha = Math.max(0.1, intensity * 0.8);
 
-        ctx.fillStyle = `hsla(${hue}, 90%, ${60 + ring * 8}%, ${alpha})`;
+        ctx.fillStyle = getPaletteStyle(
+          activePalette,
+          { hue, tone: 0.2 + ring * 0.16 },
+          alpha,
+        );
         ctx.beginPath();
         ctx.arc(x, y, 2 + intensity * 8, 0, Math.PI * 2);
         ctx.fill();
 
         const trailX = centerX + Math.cos(angle - 0.3) * (radius * 0.8);
         const trailY = centerY + Math.sin(angle - 0.3) * (radius * 0.8);
-        ctx.fillStyle = `hsla(${hue}, 80%, 50%, ${alpha * 0.4})`;
+        ctx.fillStyle = getPaletteStyle(activePalette, { hue }, alpha * 0.4);
         ctx.beginPath();
         ctx.arc(trailX, trailY, 1 + intensity * 3, 0, Math.PI * 2);
         ctx.fill();
@@ -520,7 +4199,7 @@ function renderDemoVisualization(frequencyData) {
     const hue = (time * 120 + i * 10) % 360;
     const alpha = (1 - distance / burstRadius) * totalEnergy;
 
-    ctx.fillStyle = `hsla(${hue}, 95%, 70%, ${alpha})`;
+    ctx.fillStyle = getPaletteStyle(activePalette, { hue, tone: 0.4 }, alpha);
     ctx.beginPath();
     ctx.arc(x, y, 1 + totalEnergy * 4, 0, Math.PI * 2);
     ctx.fill();
@@ -543,14 +4222,22 @@ function renderDemoVisualization(frequencyData) {
       const arcRadius = baseRadius + bandEnergy * 100;
       const hue = (arc * 45 + time * 40) % 360;
 
-      ctx.strokeStyle = `hsla(${hue}, 85%, 60%, ${bandEnergy * 0.8})`;
+      ctx.strokeStyle = getPaletteStyle(
+        activePalette,
+        { hue, tone: 0.2 },
+        bandEnergy * 0.8,
+      );
       ctx.lineWidth = 3 + bandEnergy * 8;
       ctx.lineCap = "round";
       ctx.beginPath();
       ctx.arc(centerX, centerY, arcRadius, startAngle, endAngle);
       ctx.stroke();
 
-      ctx.strokeStyle = `hsla(${hue}, 100%, 80%, ${bandEnergy * 0.4})`;
+      ctx.strokeStyle = getPaletteStyle(
+        activePalette,
+        { hue, tone: 0.6 },
+        bandEnergy * 0.4,
+      );
       ctx.lineWidth = 1 + bandEnergy * 3;
       ctx.beginPath();
       ctx.arc(centerX, centerY, arcRadius - 5, startAngle, endAngle);
@@ -559,9 +4246,9 @@ function renderDemoVisualization(frequencyData) {
   }
 
   const orbTypes = [
-    { freq: lowFreqs, count: 6, baseRadius: 200, color: 240, speed: 0.3 },
-    { freq: midFreqs, count: 8, baseRadius: 160, color: 120, speed: 0.5 },
-    { freq: highFreqs, count: 12, baseRadius: 120, color: 0, speed: 0.8 },
+    { freq: lowFreqs, count: 6, baseRadius: 200, band: "low", speed: 0.3 },
+    { freq: midFreqs, count: 8, baseRadius: 160, band: "mid", speed: 0.5 },
+    { freq: highFreqs, count: 12, baseRadius: 120, band: "high", speed: 0.8 },
   ];
 
   orbTypes.forEach((orbType, typeIndex) => {
@@ -573,22 +4260,36 @@ function renderDemoVisualization(frequencyData) {
       const y = centerY + Math.sin(angle) * radius;
 
       const orbSize = 3 + orbType.freq * 15;
-      const hue = (orbType.color + time * 20 + i * 30) % 360;
+      const color = { band: orbType.band, hue: (time * 20 + i * 30) % 360 };
 
       const gradient = ctx.createRadialGradient(x, y, 0, x, y, orbSize * 2);
-      gradient.addColorStop(0, `hsla(${hue}, 90%, 70%, ${orbType.freq * 0.6})`);
+      gradient.addColorStop(
+        0,
+        getPaletteStyle(
+          activePalette,
+          { ...color, tone: 0.4 },
+          orbType.freq * 0.6,
+        ),
+      );
       gradient.addColorStop(
         0.7,
-        `hsla(${hue}, 80%, 50%, ${orbType.freq * 0.3})`,
+        getPaletteStyle(activePalette, color, orbType.freq * 0.3),
+      );
+      gradient.addColorStop(
+        1,
+        getPaletteStyle(activePalette, { ...color, tone: -0.4 }, 0),
       );
-      gradient.addColorStop(1, `hsla(${hue}, 70%, 30%, 0)`);
 
       ctx.fillStyle = gradient;
       ctx.beginPath();
       ctx.arc(x, y, orbSize * 2, 0, Math.PI * 2);
       ctx.fill();
 
-      ctx.fillStyle = `hsla(${hue}, 95%, 80%, ${orbType.freq * 0.9})`;
+      ctx.fillStyle = getPaletteStyle(
+        activePalette,
+        { ...color, tone: 0.6 },
+        orbType.freq * 0.9,
+      );
       ctx.beginPath();
       ctx.arc(x, y, orbSize, 0, Math.PI * 2);
       ctx.fill();
@@ -604,7 +4305,11 @@ function renderDemoVisualization(frequencyData) {
       let currentRadius = startRadius;
       let currentAngle = startAngle;
 
-      ctx.strokeStyle = `hsla(${Math.random() * 60 + 180}, 100%, 90%, ${totalEnergy * 0.7})`;
+      ctx.strokeStyle = getPaletteStyle(
+        activePalette,
+        { hue: Math.random() * 60 + 180, tone: 0.8 },
+        totalEnergy * 0.7,
+      );
       ctx.lineWidth = 1 + totalEnergy * 3;
       ctx.lineCap = "round";
       ctx.beginPath();
@@ -639,26 +4344,45 @@ function renderDemoVisualization(frequencyData) {
   );
   coreGradient.addColorStop(
     0,
-    `hsla(${coreHue}, 100%, 90%, ${totalEnergy * 0.8})`,
+    getPaletteStyle(
+      activePalette,
+      { hue: coreHue, tone: 0.8 },
+      totalEnergy * 0.8,
+    ),
   );
   coreGradient.addColorStop(
     0.6,
-    `hsla(${coreHue}, 90%, 70%, ${totalEnergy * 0.4})`,
+    getPaletteStyle(
+      activePalette,
+      { hue: coreHue, tone: 0.4 },
+      totalEnergy * 0.4,
+    ),
+  );
+  coreGradient.addColorStop(
+    1,
+    getPaletteStyle(activePalette, { hue: coreHue }, 0),
   );
-  coreGradient.addColorStop(1, `hsla(${coreHue}, 80%, 50%, 0)`);
 
   ctx.fillStyle = coreGradient;
   ctx.beginPath();
   ctx.arc(centerX, centerY, coreRadius * 1.5, 0, Math.PI * 2);
   ctx.fill();
 
-  ctx.fillStyle = `hsla(${coreHue + 180}, 100%, 95%, ${0.6 + totalEnergy * 0.4})`;
+  ctx.fillStyle = getPaletteStyle(
+    activePalette,
+    { hue: coreHue + 180, tone: 0.9 },
+    0.6 + totalEnergy * 0.4,
+  );
   ctx.beginPath();
   ctx.arc(centerX, centerY, coreRadius, 0, Math.PI * 2);
   ctx.fill();
 
   const pulseRadius = coreRadius + Math.sin(time * 8) * 10;
-  ctx.strokeStyle = `hsla(${coreHue + 60}, 100%, 80%, ${totalEnergy * 0.6})`;
+  ctx.strokeStyle = getPaletteStyle(
+    activePalette,
+    { hue: coreHue + 60, tone: 0.6 },
+    totalEnergy * 0.6,
+  );
   ctx.lineWidth = 2;
   ctx.beginPath();
   ctx.arc(centerX, centerY, pulseRadius, 0, Math.PI * 2);
@@ -670,8 +4394,52 @@ function updateVisualizationDisplay() {
   if (existingDisplay) {
     existingDisplay.remove();
   }
+
+  const selector = document.getElementById("modeSelector");
+  if (!selector) return;
+
+  selector.querySelectorAll("button").forEach((button) => {
+    const active = Number(button.dataset.mode) === currentMode;
+    button.style.opacity = active ? "1" : "0.5";
+    button.setAttribute("aria-pressed", String(active));
+  });
+
+  updateModeParameterControls();
 }
 
+window.audioVisualizer = {
+  runBridgeBenchmark,
+  runBeatDetectorCheck,
+  setSeed: setSimulationSeed,
+  setFixedTimestep,
+  saveState: saveSimulationState,
+  loadState: loadSimulationState,
+  startSessionRecording,
+  stopSessionRecording,
+  replaySession,
+  setParticleRenderer,
+  setPostEffect,
+  setEnvelopeTimes,
+  setNormalization,
+  setPalette,
+  setHudVisible,
+  loadModeDefinition,
+  setModeParameter,
+  savePreset,
+  deletePreset,
+  applyPreset: (data) => {
+    const preset = parsePreset(data);
+    return preset !== null && applyPreset(preset);
+  },
+  exportPreset,
+  getPresetShareUrl,
+  getFeatures: getAudioFeatures,
+  isWorkerRendering: () => simulationWorker !== null,
+  getAudioSourceState,
+  useMediaStream,
+  stopAudioSource,
+};
+
 document.addEventListener("DOMContentLoaded", () => {
   initializeWasm();
   updateVisualizationDisplay();
@@ -693,4 +4461,4 @@ window.addEventListener("focus", () => {
       startVisualization();
     }, 50);
   }
-});
\ No newline at end of file
+});
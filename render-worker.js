@@ -0,0 +1,226 @@
+// Runs the .NET simulation and draws into the canvas handed over by app.js.
+// The main thread keeps audio analysis and UI, and posts one message per frame.
+// Calls and frames that carry an id are answered with a message carrying the
+// same id, holding either the result or the error.
+
+import { createWebGLParticleRenderer } from "./webgl-renderer.js";
+import { drawFrame, PARTICLE_STRIDE, updateBeatPulse } from "./renderer.js";
+
+let dotnetInstance = null;
+let dotnetRuntime = null;
+let canvas = null;
+let ctx = null;
+let webglRenderer = null;
+let particleRenderer = "canvas";
+let viewportWidth = 800;
+let viewportHeight = 600;
+let pixelRatio = 1;
+let beatPulse = 0;
+
+const emptyWaveform = new Float32Array(0);
+
+self.addEventListener("message", (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case "init":
+      initialize(message).catch((error) => {
+        console.error("Render worker failed to initialize:", error);
+        self.postMessage({ type: "error", message: String(error) });
+      });
+      break;
+    case "resize":
+      resize(message);
+      break;
+    case "call":
+      callSimulation(message);
+      break;
+    case "setRenderer":
+      setParticleRenderer(message.renderer);
+      break;
+    case "frame":
+      try {
+        renderFrame(message);
+      } catch (error) {
+        self.postMessage({
+          type: "rendered",
+          id: message.id,
+          error: describeError(error),
+        });
+      }
+      break;
+  }
+});
+
+async function initialize({ canvas: offscreenCanvas, width, height, ratio }) {
+  canvas = offscreenCanvas;
+  ctx = canvas.getContext("2d");
+  resize({ width, height, ratio });
+
+  const { dotnet } = await import("/_framework/dotnet.js");
+  const api = await dotnet.create();
+  const assemblyExports = await api.getAssemblyExports("AudioVisualizerWasm");
+  dotnetInstance = assemblyExports.AudioVisualizerWasm.Program;
+  dotnetRuntime = api;
+
+  dotnetInstance.SetViewport(viewportWidth, viewportHeight);
+
+  self.postMessage({
+    type: "ready",
+    maxParticleCount: dotnetInstance.GetMaxParticleCount(),
+    maxFrequencyBands: dotnetInstance.GetFrequencyBufferLength(),
+    modes: dotnetInstance.GetModes(),
+  });
+}
+
+function callSimulation({ id, method, args }) {
+  try {
+    if (!dotnetInstance) {
+      throw new Error("Simulation is not loaded");
+    }
+    self.postMessage({
+      type: "result",
+      id,
+      value: dotnetInstance[method](...args),
+    });
+  } catch (error) {
+    self.postMessage({ type: "result", id, error: describeError(error) });
+  }
+}
+
+function describeError(error) {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function resize({ width, height, ratio }) {
+  viewportWidth = width;
+  viewportHeight = height;
+  pixelRatio = ratio;
+
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.fillStyle = "black";
+  ctx.fillRect(0, 0, viewportWidth, viewportHeight);
+  ctx.globalCompositeOperation = "lighter";
+
+  if (webglRenderer) {
+    webglRenderer.resize(viewportWidth, viewportHeight, pixelRatio);
+  }
+}
+
+function setParticleRenderer(type) {
+  particleRenderer = type;
+
+  if (particleRenderer === "webgl" && !webglRenderer) {
+    webglRenderer = createWebGLParticleRenderer();
+    if (webglRenderer) {
+      webglRenderer.resize(viewportWidth, viewportHeight, pixelRatio);
+    } else {
+      particleRenderer = "canvas";
+    }
+  }
+
+  self.postMessage({ type: "renderer", renderer: particleRenderer });
+}
+
+function getHeapView(address, length) {
+  return new Float32Array(
+    dotnetRuntime.localHeapViewF32().buffer,
+    address,
+    length,
+  );
+}
+
+function renderFrame(frame) {
+  if (!dotnetInstance) {
+    throw new Error("Simulation is not loaded");
+  }
+  const frameStart = performance.now();
+
+  getHeapView(
+    dotnetInstance.GetFrequencyBufferAddress(),
+    frame.frequency.length,
+  ).set(frame.frequency);
+  dotnetInstance.CommitAudioData(frame.frequency.length);
+
+  getHeapView(
+    dotnetInstance.GetWaveformBufferAddress(),
+    frame.waveform.length,
+  ).set(frame.waveform);
+  dotnetInstance.CommitWaveformData(frame.waveform.length);
+
+  const [x, y, pressed] = frame.pointer;
+  dotnetInstance.UpdateParticles(frame.deltaTime, x, y, pressed);
+
+  const particleCount = dotnetInstance.WriteParticleData();
+  const renderStart = performance.now();
+  beatPulse = updateBeatPulse(
+    beatPulse,
+    dotnetInstance.IsBeat(),
+    frame.deltaTime,
+  );
+
+  const webglAvailable = drawFrame(ctx, {
+    width: viewportWidth,
+    height: viewportHeight,
+    particleData: getHeapView(
+      dotnetInstance.GetParticleBufferAddress(),
+      particleCount * PARTICLE_STRIDE,
+    ),
+    webglRenderer: particleRenderer === "webgl" ? webglRenderer : null,
+    mode: frame.mode,
+    modeLabel: frame.modeLabel,
+    overlay: frame.overlay,
+    sensitivity: frame.sensitivity,
+    leftWaveform: frame.leftWaveform || emptyWaveform,
+    rightWaveform: frame.rightWaveform || emptyWaveform,
+    bpm: dotnetInstance.GetBpm(),
+    beatPhase: dotnetInstance.GetBeatPhase(),
+    beatPulse,
+    energies: {
+      low: dotnetInstance.GetLowFreqEnergy(),
+      mid: dotnetInstance.GetMidFreqEnergy(),
+      high: dotnetInstance.GetHighFreqEnergy(),
+    },
+    effects: frame.effects,
+    palette: frame.palette,
+  });
+
+  if (!webglAvailable) {
+    webglRenderer = null;
+    setParticleRenderer("canvas");
+  }
+
+  // Offline exports encode on the main thread, so the drawn frame goes back
+  const videoFrame = frame.capture
+    ? new VideoFrame(canvas, frame.capture)
+    : null;
+
+  const frameEnd = performance.now();
+  self.postMessage(
+    {
+      type: "rendered",
+      id: frame.id,
+      value: videoFrame,
+      frameCost: frameEnd - frameStart,
+      features: dotnetInstance.GetFeatures(),
+      stats: frame.hud
+        ? {
+            updateTime: renderStart - frameStart,
+            renderTime: frameEnd - renderStart,
+            activeParticles: dotnetInstance.GetActiveParticleCount(),
+            centroidHz: dotnetInstance.GetSpectralCentroidHz(),
+            energies: {
+              total: dotnetInstance.GetTotalEnergy(),
+              low: dotnetInstance.GetLowFreqEnergy(),
+              mid: dotnetInstance.GetMidFreqEnergy(),
+              high: dotnetInstance.GetHighFreqEnergy(),
+            },
+          }
+        : null,
+    },
+    videoFrame ? [videoFrame] : [],
+  );
+}
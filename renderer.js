@@ -0,0 +1,634 @@
+// Drawing shared by the main thread and the render worker. Everything the
+// frame needs arrives in a scene object so the same code can run against a
+// page canvas or an OffscreenCanvas.
+
+export const PARTICLE_STRIDE = 6;
+export const PARTICLE_MAX_LIFE = 5.0;
+export const PARTICLE_MAX_SPEED = 150.0;
+// Modes name their overlay in the metadata from GetModes
+export const SCOPE_OVERLAY = "scope";
+const VECTORSCOPE_SIZE = 160;
+const BEAT_PULSE_DECAY = 6;
+const BLOOM_DOWNSCALE = 4;
+const HUD_WIDTH = 300;
+const HUD_TOP = 64;
+const HUD_PADDING = 10;
+const HUD_LINE_HEIGHT = 16;
+const HUD_METER_HEIGHT = 14;
+const HUD_SECTION_GAP = 6;
+const HUD_SPECTRUM_HEIGHT = 48;
+const HUD_SPECTRUM_BARS = 64;
+const HUD_METERS = [
+  { band: "total", label: "Total", color: "rgba(255, 255, 255, 0.8)" },
+  { band: "low", label: "Low", color: "rgba(255, 107, 107, 0.9)" },
+  { band: "mid", label: "Mid", color: "rgba(254, 202, 87, 0.9)" },
+  { band: "high", label: "High", color: "rgba(72, 219, 251, 0.9)" },
+];
+
+export const ENERGY_BANDS = ["none", "low", "mid", "high"];
+
+// Stages run in this order. Any parameter can be bound to a band energy,
+// which pushes it from its set value towards its maximum as the band gets
+// louder.
+export const POST_EFFECT_STAGES = {
+  feedback: {
+    label: "Feedback",
+    enabled: false,
+    params: {
+      amount: { label: "Amount", min: 0, max: 1, step: 0.05, value: 0.5 },
+      zoom: { label: "Zoom", min: -0.05, max: 0.05, step: 0.005, value: 0.01 },
+      rotation: {
+        label: "Rotate",
+        min: -0.05,
+        max: 0.05,
+        step: 0.005,
+        value: 0.005,
+      },
+    },
+  },
+  trails: {
+    label: "Trails",
+    enabled: true,
+    params: {
+      persistence: {
+        label: "Persistence",
+        min: 0,
+        max: 0.98,
+        step: 0.01,
+        value: 0.85,
+      },
+    },
+  },
+  bloom: {
+    label: "Bloom",
+    enabled: false,
+    params: {
+      intensity: { label: "Intensity", min: 0, max: 2, step: 0.05, value: 0.6 },
+      radius: { label: "Radius", min: 2, max: 32, step: 1, value: 12 },
+    },
+  },
+  chromatic: {
+    label: "Chromatic Aberration",
+    enabled: false,
+    params: {
+      offset: { label: "Offset", min: 0, max: 24, step: 1, value: 8 },
+    },
+  },
+};
+
+// Particle hues are positions on a colour wheel in degrees. Gradient palettes
+// run out to their last stop and back again over the wheel, so a hue that
+// keeps rotating never jumps from the last stop to the first.
+export const PALETTES = {
+  spectrum: { label: "Spectrum", bandHues: [240, 120, 0] },
+  sunset: { label: "Sunset", stops: ["#3a0ca3", "#f72585", "#ffb703"] },
+  ocean: { label: "Ocean", stops: ["#03045e", "#0096c7", "#90e0ef"] },
+  ember: { label: "Ember", stops: ["#6a040f", "#e85d04", "#ffdd00"] },
+  monochrome: { label: "Monochrome", stops: ["#4a4a4a", "#ffffff"] },
+  custom: { label: "Custom", stops: ["#00f5d4", "#9b5de5", "#f15bb5"] },
+};
+export const PALETTE_TABLE_SIZE = 256;
+// Low, mid and high sit on the first stop, the middle and the last stop
+const GRADIENT_BAND_HUES = [0, 90, 180];
+export const PALETTE_LIFE_SHADE = 0.3;
+
+const scratchContexts = new WeakMap();
+const paletteStops = new WeakMap();
+
+export function createPostEffectSettings() {
+  return Object.fromEntries(
+    Object.entries(POST_EFFECT_STAGES).map(([name, stage]) => [
+      name,
+      {
+        enabled: stage.enabled,
+        params: Object.fromEntries(
+          Object.entries(stage.params).map(([key, param]) => [
+            key,
+            param.value,
+          ]),
+        ),
+        bindings: Object.fromEntries(
+          Object.keys(stage.params).map((key) => [key, "none"]),
+        ),
+      },
+    ]),
+  );
+}
+
+export function hsvToRgb(h, s, v) {
+  let r, g, b;
+  const i = Math.floor(h * 6);
+  const f = h * 6 - i;
+  const p = v * (1 - s);
+  const q = v * (1 - f * s);
+  const t = v * (1 - (1 - f) * s);
+
+  switch (i % 6) {
+    case 0:
+      ((r = v), (g = t), (b = p));
+      break;
+    case 1:
+      ((r = q), (g = v), (b = p));
+      break;
+    case 2:
+      ((r = p), (g = v), (b = t));
+      break;
+    case 3:
+      ((r = p), (g = q), (b = v));
+      break;
+    case 4:
+      ((r = t), (g = p), (b = v));
+      break;
+    case 5:
+      ((r = v), (g = p), (b = q));
+      break;
+  }
+
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+}
+
+// Every renderer takes its colours from here. hue is the wheel position in
+// degrees; band ("low", "mid" or "high") starts from that band's position
+// instead, life (0-1) darkens fading particles and tone (-1 to 1) shades
+// towards black or white. The WebGL shader mirrors the life and tone maths.
+export function getPaletteColor(
+  palette,
+  { hue = 0, band, life = 1, tone = 0 },
+) {
+  const bandIndex = ENERGY_BANDS.indexOf(band) - 1;
+  const bandHue =
+    bandIndex >= 0 ? (palette.bandHues || GRADIENT_BAND_HUES)[bandIndex] : 0;
+  const position = ((((bandHue + hue) / 360) % 1) + 1) % 1;
+
+  const color = palette.stops
+    ? sampleStops(getPaletteStops(palette), 1 - Math.abs(1 - position * 2))
+    : hsvToRgb(position, 0.89, 0.9);
+
+  const shade = Math.max(
+    -1,
+    Math.min(1, tone - (1 - life) * PALETTE_LIFE_SHADE),
+  );
+  const target = shade > 0 ? 255 : 0;
+  const amount = Math.abs(shade);
+  return color.map((channel) =>
+    Math.round(channel + (target - channel) * amount),
+  );
+}
+
+export function getPaletteStyle(palette, options, alpha) {
+  const [r, g, b] = getPaletteColor(palette, options);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// RGBA lookup across the wheel, sampled at texel centres for a wrapping
+// GPU texture
+export function createPaletteTable(palette) {
+  const table = new Uint8Array(PALETTE_TABLE_SIZE * 4);
+  for (let i = 0; i < PALETTE_TABLE_SIZE; i++) {
+    const hue = ((i + 0.5) / PALETTE_TABLE_SIZE) * 360;
+    table.set([...getPaletteColor(palette, { hue }), 255], i * 4);
+  }
+  return table;
+}
+
+// Palettes are treated as immutable, so parsed stops can be kept per object
+function getPaletteStops(palette) {
+  let stops = paletteStops.get(palette);
+  if (!stops) {
+    stops = palette.stops.map((stop) => [
+      parseInt(stop.slice(1, 3), 16),
+      parseInt(stop.slice(3, 5), 16),
+      parseInt(stop.slice(5, 7), 16),
+    ]);
+    paletteStops.set(palette, stops);
+  }
+  return stops;
+}
+
+function sampleStops(stops, t) {
+  if (stops.length === 1) return stops[0];
+
+  const scaled = t * (stops.length - 1);
+  const index = Math.min(Math.floor(scaled), stops.length - 2);
+  const amount = scaled - index;
+  return stops[index].map(
+    (channel, i) => channel + (stops[index + 1][i] - channel) * amount,
+  );
+}
+
+export function updateBeatPulse(pulse, isBeat, deltaTime) {
+  return isBeat ? 1 : pulse * Math.exp(-deltaTime * BEAT_PULSE_DECAY);
+}
+
+export function drawFade(ctx, width, height, alpha = 0.15) {
+  ctx.globalCompositeOperation = "source-over";
+  ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalCompositeOperation = "lighter";
+}
+
+// Returns false when the WebGL renderer lost its context; the particles have
+// then been drawn with Canvas 2D instead and the caller should drop it.
+export function drawFrame(ctx, scene) {
+  const { effects, width, height } = scene;
+
+  if (effects.feedback.enabled) {
+    applyFeedback(ctx, scene);
+  }
+  const persistence = effects.trails.enabled
+    ? getEffectParam(scene, "trails", "persistence")
+    : 0;
+  drawFade(ctx, width, height, 1 - persistence);
+
+  const webglAvailable = drawParticles(ctx, scene);
+  if (scene.overlay === SCOPE_OVERLAY) {
+    drawOscilloscope(ctx, scene);
+    drawVectorscope(ctx, scene);
+  }
+
+  if (effects.bloom.enabled) {
+    applyBloom(ctx, scene);
+  }
+  if (effects.chromatic.enabled) {
+    applyChromaticAberration(ctx, scene);
+  }
+
+  drawModeLabel(ctx, scene);
+  return webglAvailable;
+}
+
+function getEffectParam({ effects, energies }, stage, key) {
+  const value = effects[stage].params[key];
+  const band = effects[stage].bindings[key];
+  if (!band || band === "none") return value;
+
+  const { max } = POST_EFFECT_STAGES[stage].params[key];
+  const energy = Math.min(1, Math.max(0, energies[band]));
+  return value + (max - value) * energy;
+}
+
+function getScratchContext(ctx, index, width, height) {
+  let scratch = scratchContexts.get(ctx);
+  if (!scratch) {
+    scratch = [];
+    scratchContexts.set(ctx, scratch);
+  }
+
+  if (!scratch[index]) {
+    const canvas =
+      typeof document === "undefined"
+        ? new OffscreenCanvas(width, height)
+        : document.createElement("canvas");
+    scratch[index] = canvas.getContext("2d");
+  }
+
+  const scratchCtx = scratch[index];
+  if (
+    scratchCtx.canvas.width !== width ||
+    scratchCtx.canvas.height !== height
+  ) {
+    scratchCtx.canvas.width = width;
+    scratchCtx.canvas.height = height;
+  }
+  return scratchCtx;
+}
+
+// The effects below work on whole-canvas copies, so they draw in device
+// pixels with the DPR transform removed.
+function applyFeedback(ctx, scene) {
+  const amount = getEffectParam(scene, "feedback", "amount");
+  const zoom = getEffectParam(scene, "feedback", "zoom");
+  const rotation = getEffectParam(scene, "feedback", "rotation");
+  if (amount <= 0) return;
+
+  const { width, height } = ctx.canvas;
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "source-over";
+  ctx.globalAlpha = amount;
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate(rotation);
+  ctx.scale(1 + zoom, 1 + zoom);
+  ctx.drawImage(ctx.canvas, -width / 2, -height / 2);
+  ctx.restore();
+}
+
+function applyBloom(ctx, scene) {
+  const intensity = getEffectParam(scene, "bloom", "intensity");
+  const radius = getEffectParam(scene, "bloom", "radius");
+  if (intensity <= 0) return;
+
+  const { width, height } = ctx.canvas;
+  const bloom = getScratchContext(
+    ctx,
+    0,
+    Math.max(1, Math.round(width / BLOOM_DOWNSCALE)),
+    Math.max(1, Math.round(height / BLOOM_DOWNSCALE)),
+  );
+
+  bloom.clearRect(0, 0, bloom.canvas.width, bloom.canvas.height);
+  bloom.filter = `blur(${(radius * width) / scene.width / BLOOM_DOWNSCALE}px)`;
+  bloom.drawImage(ctx.canvas, 0, 0, bloom.canvas.width, bloom.canvas.height);
+  bloom.filter = "none";
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "lighter";
+  ctx.globalAlpha = Math.min(1, intensity);
+  ctx.drawImage(bloom.canvas, 0, 0, width, height);
+  if (intensity > 1) {
+    ctx.globalAlpha = intensity - 1;
+    ctx.drawImage(bloom.canvas, 0, 0, width, height);
+  }
+  ctx.restore();
+}
+
+// Splits the frame into red, green and blue and pushes red and blue apart,
+// scaled by the beat pulse so the effect flashes on beats.
+function applyChromaticAberration(ctx, scene) {
+  const offset =
+    getEffectParam(scene, "chromatic", "offset") *
+    scene.beatPulse *
+    (ctx.canvas.width / scene.width);
+  if (offset < 0.5) return;
+
+  const { width, height } = ctx.canvas;
+  const channels = [
+    { index: 1, color: "#ff0000", shift: offset },
+    { index: 2, color: "#0000ff", shift: -offset },
+  ].map(({ index, color, shift }) => {
+    const channel = getScratchContext(ctx, index, width, height);
+    channel.globalCompositeOperation = "source-over";
+    channel.drawImage(ctx.canvas, 0, 0);
+    channel.globalCompositeOperation = "multiply";
+    channel.fillStyle = color;
+    channel.fillRect(0, 0, width, height);
+    return { canvas: channel.canvas, shift };
+  });
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "multiply";
+  ctx.fillStyle = "#00ff00";
+  ctx.fillRect(0, 0, width, height);
+  ctx.globalCompositeOperation = "lighter";
+  channels.forEach(({ canvas, shift }) => ctx.drawImage(canvas, shift, 0));
+  ctx.restore();
+}
+
+function drawParticles(
+  ctx,
+  { particleData, webglRenderer, width, height, palette },
+) {
+  if (webglRenderer) {
+    if (webglRenderer.render(particleData, width, height, palette)) {
+      ctx.drawImage(webglRenderer.canvas, 0, 0, width, height);
+      return true;
+    }
+    console.warn("WebGL context lost, drawing particles with Canvas 2D");
+  }
+
+  const particleCount = particleData.length / PARTICLE_STRIDE;
+  for (let i = 0; i < particleCount; i++) {
+    drawParticle(
+      ctx,
+      particleData,
+      i * PARTICLE_STRIDE,
+      width,
+      height,
+      palette,
+    );
+  }
+  return !webglRenderer;
+}
+
+function drawParticle(ctx, particleData, offset, width, height, palette) {
+  const x = particleData[offset];
+  const y = particleData[offset + 1];
+  const velocityX = particleData[offset + 2];
+  const velocityY = particleData[offset + 3];
+  const life = particleData[offset + 4];
+  const hue = particleData[offset + 5];
+
+  if (life <= 0) return;
+  if (x < -50 || y < -50 || x > width + 50 || y > height + 50) {
+    return;
+  }
+
+  const lifeRatio = Math.min(life / PARTICLE_MAX_LIFE, 1);
+  const speed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+  const speedRatio = Math.min(speed / PARTICLE_MAX_SPEED, 1);
+
+  const size = 1.5 + lifeRatio * 3 + speedRatio * 4;
+  const alpha = Math.min(1, lifeRatio * 0.6 + speedRatio * 0.4);
+  const color = (tone, colorAlpha) =>
+    getPaletteStyle(palette, { hue, life: lifeRatio, tone }, colorAlpha);
+
+  const gradient = ctx.createRadialGradient(x, y, 0, x, y, size * 3);
+  gradient.addColorStop(0, color(0.4, alpha * 0.8));
+  gradient.addColorStop(0.5, color(0, alpha * 0.4));
+  gradient.addColorStop(1, color(-0.4, 0));
+
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(x, y, size * 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.fillStyle = color(0.7, alpha * 0.9);
+  ctx.beginPath();
+  ctx.arc(x, y, size, 0, Math.PI * 2);
+  ctx.fill();
+
+  if (speedRatio > 0.3) {
+    const trailLength = speedRatio * 0.08;
+    ctx.strokeStyle = color(0.2, alpha * 0.5);
+    ctx.lineWidth = size * 0.6;
+    ctx.lineCap = "round";
+    ctx.beginPath();
+    ctx.moveTo(x - velocityX * trailLength, y - velocityY * trailLength);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  }
+}
+
+function drawOscilloscope(
+  ctx,
+  { width, height, sensitivity, leftWaveform, rightWaveform },
+) {
+  const centerY = height / 2;
+  const amplitude = height * 0.35 * sensitivity;
+
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  ctx.lineJoin = "round";
+
+  [
+    { samples: leftWaveform, color: "rgba(102, 126, 234, 0.7)" },
+    { samples: rightWaveform, color: "rgba(240, 147, 251, 0.5)" },
+  ].forEach(({ samples, color }) => {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    for (let i = 0; i < samples.length; i += 2) {
+      const x = (i / (samples.length - 1)) * width;
+      const y = centerY + samples[i] * amplitude;
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  });
+
+  ctx.restore();
+}
+
+function drawVectorscope(ctx, { width, height, leftWaveform, rightWaveform }) {
+  const size = VECTORSCOPE_SIZE;
+  const originX = width - size - 20;
+  const originY = height - size - 20;
+  const centerX = originX + size / 2;
+  const centerY = originY + size / 2;
+  const scale = (size / 2) * Math.SQRT1_2;
+
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
+  ctx.fillRect(originX, originY, size, size);
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+  ctx.strokeRect(originX, originY, size, size);
+
+  ctx.beginPath();
+  ctx.moveTo(centerX, originY);
+  ctx.lineTo(centerX, originY + size);
+  ctx.moveTo(originX, centerY);
+  ctx.lineTo(originX + size, centerY);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.rect(originX, originY, size, size);
+  ctx.clip();
+
+  // Mid/side orientation: mono content draws a vertical line
+  ctx.fillStyle = "rgba(168, 230, 207, 0.6)";
+  for (let i = 0; i < leftWaveform.length; i += 2) {
+    const side = (leftWaveform[i] - rightWaveform[i]) * scale;
+    const mid = (leftWaveform[i] + rightWaveform[i]) * scale;
+    ctx.fillRect(centerX + side, centerY - mid, 1.5, 1.5);
+  }
+
+  ctx.restore();
+}
+
+function drawModeLabel(ctx, { width, mode, modeLabel, bpm, beatPhase }) {
+  ctx.save();
+  ctx.globalCompositeOperation = "source-over";
+  ctx.font = "600 14px 'Segoe UI', Tahoma, sans-serif";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+  ctx.fillText(`${mode + 1} \u00b7 ${modeLabel}`, width - 20, 20);
+
+  if (bpm > 0) {
+    const pulse = 1 - beatPhase;
+    ctx.fillStyle = `rgba(168, 230, 207, ${0.4 + pulse * 0.5})`;
+    ctx.fillText(`${Math.round(bpm)} BPM`, width - 20, 40);
+  }
+  ctx.restore();
+}
+
+// Sits in the top-right corner, under the mode label and clear of the
+// vectorscope. Drawn onto its own overlay canvas, so trails and feedback
+// never pick it up and recordings leave it out.
+export function drawHud(ctx, hud) {
+  const { width, height } = hud;
+  const lines = [
+    `${Math.round(hud.fps)} FPS  ${hud.updateTime.toFixed(1)} ms wasm  ${hud.renderTime.toFixed(1)} ms draw`,
+    `Particles ${hud.activeParticles} / ${hud.particleCount}`,
+    `Mode ${hud.mode + 1} \u00b7 ${hud.modeLabel}`,
+    `Sensitivity ${hud.sensitivity.toFixed(2)}  Centroid ${Math.round(hud.centroidHz)} Hz`,
+  ];
+  const panelHeight =
+    HUD_PADDING * 2 +
+    lines.length * HUD_LINE_HEIGHT +
+    HUD_METERS.length * HUD_METER_HEIGHT +
+    HUD_SPECTRUM_HEIGHT +
+    HUD_SECTION_GAP * 2;
+  const left = Math.max(0, width - HUD_WIDTH - 20);
+  const top = HUD_TOP;
+  const innerLeft = left + HUD_PADDING;
+  const innerWidth = HUD_WIDTH - HUD_PADDING * 2;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.save();
+  ctx.fillStyle = "rgba(0, 0, 0, 0.55)";
+  ctx.fillRect(left, top, HUD_WIDTH, panelHeight);
+
+  ctx.font = "12px ui-monospace, Menlo, Consolas, monospace";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+  lines.forEach((line, index) => {
+    ctx.fillText(line, innerLeft, top + HUD_PADDING + index * HUD_LINE_HEIGHT);
+  });
+
+  let y = top + HUD_PADDING + lines.length * HUD_LINE_HEIGHT + HUD_SECTION_GAP;
+  HUD_METERS.forEach(({ band, label, color }) => {
+    const level = Math.max(0, Math.min(1, hud.energies[band]));
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.fillText(label, innerLeft, y);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.1)";
+    ctx.fillRect(innerLeft + 48, y + 2, innerWidth - 48, HUD_METER_HEIGHT - 4);
+    ctx.fillStyle = color;
+    ctx.fillRect(
+      innerLeft + 48,
+      y + 2,
+      (innerWidth - 48) * level,
+      HUD_METER_HEIGHT - 4,
+    );
+    y += HUD_METER_HEIGHT;
+  });
+
+  y += HUD_SECTION_GAP;
+  drawHudSpectrum(ctx, hud.spectrum, innerLeft, y, innerWidth);
+
+  // Null when there is no centroid to show, which is the case in silence
+  if (hud.centroidPosition !== null) {
+    ctx.fillStyle = "#a8e6cf";
+    ctx.fillRect(
+      innerLeft +
+        Math.max(0, Math.min(1, hud.centroidPosition)) * innerWidth -
+        1,
+      y,
+      2,
+      HUD_SPECTRUM_HEIGHT,
+    );
+  }
+  ctx.restore();
+}
+
+// Each bar shows the loudest band it covers, so narrow peaks survive when
+// there are more bands than bars
+function drawHudSpectrum(ctx, spectrum, left, top, width) {
+  const barCount = Math.min(HUD_SPECTRUM_BARS, spectrum.length);
+  if (barCount === 0) return;
+
+  const barWidth = width / barCount;
+  ctx.fillStyle = "rgba(102, 126, 234, 0.85)";
+  for (let bar = 0; bar < barCount; bar++) {
+    const start = Math.floor((bar * spectrum.length) / barCount);
+    const end = Math.floor(((bar + 1) * spectrum.length) / barCount);
+    let level = 0;
+    for (let i = start; i < end; i++) {
+      level = Math.max(level, spectrum[i]);
+    }
+
+    const barHeight = Math.min(1, level) * HUD_SPECTRUM_HEIGHT;
+    ctx.fillRect(
+      left + bar * barWidth,
+      top + HUD_SPECTRUM_HEIGHT - barHeight,
+      Math.max(1, barWidth - 1),
+      barHeight,
+    );
+  }
+}
@@ -0,0 +1,294 @@
+import {
+  createPaletteTable,
+  PALETTE_LIFE_SHADE,
+  PALETTE_TABLE_SIZE,
+  PARTICLE_MAX_LIFE,
+  PARTICLE_MAX_SPEED,
+  PARTICLE_STRIDE,
+} from "./renderer.js";
+
+const VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_motion;
+layout(location = 2) in vec2 a_lifeHue;
+
+uniform vec2 u_viewport;
+uniform float u_maxLife;
+uniform float u_maxSpeed;
+uniform float u_lifeShade;
+
+out vec2 v_corner;
+out float v_alpha;
+out float v_hue;
+out float v_shade;
+out float v_coreRadius;
+
+void main() {
+  float life = a_lifeHue.x;
+  if (life <= 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+
+  float lifeRatio = min(life / u_maxLife, 1.0);
+  float speedRatio = min(length(a_motion.zw) / u_maxSpeed, 1.0);
+  float size = 1.5 + lifeRatio * 3.0 + speedRatio * 4.0;
+  float radius = size * 3.0;
+
+  vec2 position = a_motion.xy + a_corner * radius;
+  vec2 clip = position / u_viewport * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+  v_corner = a_corner;
+  v_alpha = min(1.0, lifeRatio * 0.6 + speedRatio * 0.4);
+  v_hue = a_lifeHue.y;
+  v_shade = -(1.0 - lifeRatio) * u_lifeShade;
+  v_coreRadius = size / radius;
+}
+`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec2 v_corner;
+in float v_alpha;
+in float v_hue;
+in float v_shade;
+in float v_coreRadius;
+
+uniform sampler2D u_palette;
+
+out vec4 fragColor;
+
+// Same shading as getPaletteColor in renderer.js
+vec3 paletteColor(float tone) {
+  vec3 color = texture(u_palette, vec2(v_hue / 360.0, 0.5)).rgb;
+  float shade = clamp(tone + v_shade, -1.0, 1.0);
+  return shade > 0.0 ? mix(color, vec3(1.0), shade) : color * (1.0 + shade);
+}
+
+void main() {
+  float dist = length(v_corner);
+  if (dist > 1.0) {
+    discard;
+  }
+
+  // Same falloff as the Canvas 2D radial gradient: bright centre, fading halo
+  vec3 inner = paletteColor(0.4);
+  vec3 middle = paletteColor(0.0);
+  vec3 glow = dist < 0.5
+    ? mix(inner, middle, dist * 2.0)
+    : mix(middle, paletteColor(-0.4), dist * 2.0 - 1.0);
+  float glowAlpha = v_alpha * (dist < 0.5
+    ? mix(0.8, 0.4, dist * 2.0)
+    : mix(0.4, 0.0, dist * 2.0 - 1.0));
+
+  vec3 color = glow * glowAlpha;
+  if (dist < v_coreRadius) {
+    color += paletteColor(0.7) * v_alpha * 0.9;
+  }
+
+  // Keep the output valid premultiplied alpha for compositing onto the page
+  fragColor = vec4(color, max(color.r, max(color.g, color.b)));
+}
+`;
+
+export function createWebGLParticleRenderer() {
+  // Workers have no document, but can draw into an OffscreenCanvas instead
+  const canvas =
+    typeof document === "undefined"
+      ? new OffscreenCanvas(1, 1)
+      : document.createElement("canvas");
+  const gl = canvas.getContext("webgl2", {
+    alpha: true,
+    antialias: false,
+    premultipliedAlpha: true,
+    preserveDrawingBuffer: false,
+  });
+
+  if (!gl) {
+    return null;
+  }
+
+  let program;
+  try {
+    program = createProgram(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+  } catch (error) {
+    console.warn("WebGL particle shaders failed to compile:", error);
+    return null;
+  }
+
+  const uniforms = {
+    viewport: gl.getUniformLocation(program, "u_viewport"),
+    maxLife: gl.getUniformLocation(program, "u_maxLife"),
+    maxSpeed: gl.getUniformLocation(program, "u_maxSpeed"),
+    lifeShade: gl.getUniformLocation(program, "u_lifeShade"),
+    palette: gl.getUniformLocation(program, "u_palette"),
+  };
+
+  // One row of colours across the wheel; REPEAT lets hues wrap smoothly
+  const paletteTexture = gl.createTexture();
+  let paletteKey = null;
+  gl.bindTexture(gl.TEXTURE_2D, paletteTexture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const vertexArray = gl.createVertexArray();
+  gl.bindVertexArray(vertexArray);
+
+  const cornerBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+  gl.bufferData(
+    gl.ARRAY_BUFFER,
+    new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]),
+    gl.STATIC_DRAW,
+  );
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const particleBuffer = gl.createBuffer();
+  let particleCapacity = 0;
+  gl.bindBuffer(gl.ARRAY_BUFFER, particleBuffer);
+  const stride = PARTICLE_STRIDE * Float32Array.BYTES_PER_ELEMENT;
+  gl.enableVertexAttribArray(1);
+  gl.vertexAttribPointer(1, 4, gl.FLOAT, false, stride, 0);
+  gl.vertexAttribDivisor(1, 1);
+  gl.enableVertexAttribArray(2);
+  gl.vertexAttribPointer(2, 2, gl.FLOAT, false, stride, 16);
+  gl.vertexAttribDivisor(2, 1);
+
+  gl.bindVertexArray(null);
+
+  let contextLost = false;
+  canvas.addEventListener("webglcontextlost", (e) => {
+    e.preventDefault();
+    contextLost = true;
+  });
+
+  function resize(width, height, pixelRatio) {
+    const pixelWidth = Math.round(width * pixelRatio);
+    const pixelHeight = Math.round(height * pixelRatio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+    }
+  }
+
+  // Palettes posted to the worker arrive as fresh copies every frame, so
+  // compare by content rather than identity before re-uploading
+  function updatePalette(palette) {
+    const key = palette.stops ? palette.stops.join(" ") : palette.label;
+    if (key === paletteKey) return;
+
+    paletteKey = key;
+    gl.bindTexture(gl.TEXTURE_2D, paletteTexture);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      PALETTE_TABLE_SIZE,
+      1,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      createPaletteTable(palette),
+    );
+  }
+
+  // particleData uses the simulation layout: x, y, vx, vy, life, hue
+  function render(particleData, width, height, palette) {
+    if (contextLost) return false;
+    if (!(particleData instanceof Float32Array)) {
+      particleData = Float32Array.from(particleData);
+    }
+
+    const particleCount = Math.floor(particleData.length / PARTICLE_STRIDE);
+
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (particleCount === 0) return true;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, particleBuffer);
+    if (particleData.length > particleCapacity) {
+      particleCapacity = particleData.length;
+      gl.bufferData(gl.ARRAY_BUFFER, particleCapacity * 4, gl.DYNAMIC_DRAW);
+    }
+    gl.bufferSubData(
+      gl.ARRAY_BUFFER,
+      0,
+      particleData,
+      0,
+      particleCount * PARTICLE_STRIDE,
+    );
+
+    updatePalette(palette);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, paletteTexture);
+
+    gl.useProgram(program);
+    gl.uniform2f(uniforms.viewport, width, height);
+    gl.uniform1f(uniforms.maxLife, PARTICLE_MAX_LIFE);
+    gl.uniform1f(uniforms.maxSpeed, PARTICLE_MAX_SPEED);
+    gl.uniform1f(uniforms.lifeShade, PALETTE_LIFE_SHADE);
+    gl.uniform1i(uniforms.palette, 0);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+
+    gl.bindVertexArray(vertexArray);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, particleCount);
+    gl.bindVertexArray(null);
+    return true;
+  }
+
+  function dispose() {
+    gl.deleteBuffer(cornerBuffer);
+    gl.deleteBuffer(particleBuffer);
+    gl.deleteTexture(paletteTexture);
+    gl.deleteVertexArray(vertexArray);
+    gl.deleteProgram(program);
+  }
+
+  return {
+    canvas,
+    resize,
+    render,
+    dispose,
+    isContextLost: () => contextLost || gl.isContextLost(),
+  };
+}
+
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  const shaders = [
+    compileShader(gl, gl.VERTEX_SHADER, vertexSource),
+    compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource),
+  ];
+
+  shaders.forEach((shader) => gl.attachShader(program, shader));
+  gl.linkProgram(program);
+  shaders.forEach((shader) => gl.deleteShader(shader));
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(log);
+  }
+  return program;
+}
+
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(log);
+  }
+  return shader;
+}
@@ -0,0 +1,297 @@
+// Muxes encoded WebCodecs chunks into a WebM file. Chunks are collected as
+// they arrive and laid out by timestamp when the file is finished, so video
+// and audio can be encoded one after the other.
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+const TIMECODE_SCALE_NS = 1000000;
+// Block timecodes are signed 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_SPAN_MS = 30000;
+const OPUS_SEEK_PRE_ROLL_NS = 80000000;
+const OPUS_SAMPLE_RATE = 48000;
+
+const ids = {
+  ebml: 0x1a45dfa3,
+  ebmlVersion: 0x4286,
+  ebmlReadVersion: 0x42f7,
+  ebmlMaxIdLength: 0x42f2,
+  ebmlMaxSizeLength: 0x42f3,
+  docType: 0x4282,
+  docTypeVersion: 0x4287,
+  docTypeReadVersion: 0x4285,
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  muxingApp: 0x4d80,
+  writingApp: 0x5741,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  trackUid: 0x73c5,
+  trackType: 0x83,
+  codecId: 0x86,
+  codecPrivate: 0x63a2,
+  codecDelay: 0x56aa,
+  seekPreRoll: 0x56bb,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  simpleBlock: 0xa3,
+};
+
+const textEncoder = new TextEncoder();
+
+// video: { codecId, width, height }
+// audio: { codecId, sampleRate, channels, codecPrivate? }, or null for none
+export function createWebMWriter({ video, audio = null }) {
+  const blocks = [];
+  let audioPrivate = audio ? audio.codecPrivate || null : null;
+
+  function addChunk(track, chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    blocks.push({
+      track,
+      timestampMs: Math.round(chunk.timestamp / 1000),
+      key: chunk.type === "key",
+      data,
+    });
+  }
+
+  return {
+    addVideoChunk(chunk) {
+      addChunk(VIDEO_TRACK, chunk);
+    },
+
+    // The encoder's first output may carry the codec setup the file needs
+    addAudioChunk(chunk, metadata) {
+      const description = metadata?.decoderConfig?.description;
+      if (!audioPrivate && description) {
+        audioPrivate = toBytes(description);
+      }
+      addChunk(AUDIO_TRACK, chunk);
+    },
+
+    finish(durationMs) {
+      const tracks = [videoTrackEntry(video)];
+      if (audio) {
+        tracks.push(
+          audioTrackEntry(audio, audioPrivate || createOpusHead(audio)),
+        );
+      }
+
+      const segment = element(
+        ids.segment,
+        element(
+          ids.info,
+          uintElement(ids.timecodeScale, TIMECODE_SCALE_NS),
+          floatElement(ids.duration, durationMs),
+          stringElement(ids.muxingApp, "audio-visualizer"),
+          stringElement(ids.writingApp, "audio-visualizer"),
+        ),
+        element(ids.tracks, ...tracks),
+        ...buildClusters(blocks),
+      );
+
+      return new Blob([...header().parts, ...segment.parts], {
+        type: "video/webm",
+      });
+    },
+  };
+}
+
+function header() {
+  return element(
+    ids.ebml,
+    uintElement(ids.ebmlVersion, 1),
+    uintElement(ids.ebmlReadVersion, 1),
+    uintElement(ids.ebmlMaxIdLength, 4),
+    uintElement(ids.ebmlMaxSizeLength, 8),
+    stringElement(ids.docType, "webm"),
+    uintElement(ids.docTypeVersion, 2),
+    uintElement(ids.docTypeReadVersion, 2),
+  );
+}
+
+function videoTrackEntry({ codecId, width, height }) {
+  return element(
+    ids.trackEntry,
+    uintElement(ids.trackNumber, VIDEO_TRACK),
+    uintElement(ids.trackUid, VIDEO_TRACK),
+    uintElement(ids.trackType, 1),
+    stringElement(ids.codecId, codecId),
+    element(
+      ids.video,
+      uintElement(ids.pixelWidth, width),
+      uintElement(ids.pixelHeight, height),
+    ),
+  );
+}
+
+function audioTrackEntry({ codecId, sampleRate, channels }, codecPrivate) {
+  const preSkip = codecPrivate.length >= 12 ? readPreSkip(codecPrivate) : 0;
+  return element(
+    ids.trackEntry,
+    uintElement(ids.trackNumber, AUDIO_TRACK),
+    uintElement(ids.trackUid, AUDIO_TRACK),
+    uintElement(ids.trackType, 2),
+    stringElement(ids.codecId, codecId),
+    element(ids.codecPrivate, codecPrivate),
+    uintElement(ids.codecDelay, Math.round((preSkip / OPUS_SAMPLE_RATE) * 1e9)),
+    uintElement(ids.seekPreRoll, OPUS_SEEK_PRE_ROLL_NS),
+    element(
+      ids.audio,
+      floatElement(ids.samplingFrequency, sampleRate),
+      uintElement(ids.channels, channels),
+    ),
+  );
+}
+
+// The identification header Opus in WebM expects, for encoders that do not
+// supply one: version 1, no pre-skip, channel mapping family 0
+function createOpusHead({ sampleRate, channels }) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set(textEncoder.encode("OpusHead"));
+  head[8] = 1;
+  head[9] = channels;
+  view.setUint16(10, 0, true);
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true);
+  head[18] = 0;
+  return head;
+}
+
+function readPreSkip(opusHead) {
+  return new DataView(
+    opusHead.buffer,
+    opusHead.byteOffset,
+    opusHead.byteLength,
+  ).getUint16(10, true);
+}
+
+// A new cluster starts at every video key frame, so players can seek to the
+// start of any cluster, and before block offsets would overflow
+function buildClusters(blocks) {
+  const sorted = [...blocks].sort(
+    (a, b) => a.timestampMs - b.timestampMs || a.track - b.track,
+  );
+
+  const clusters = [];
+  let current = null;
+  for (const block of sorted) {
+    const startsCluster =
+      !current ||
+      (block.track === VIDEO_TRACK && block.key && current.blocks.length > 0) ||
+      block.timestampMs - current.timecode > MAX_CLUSTER_SPAN_MS;
+    if (startsCluster) {
+      current = { timecode: block.timestampMs, blocks: [] };
+      clusters.push(current);
+    }
+    current.blocks.push(simpleBlock(block, current.timecode));
+  }
+
+  return clusters.map(({ timecode, blocks: clusterBlocks }) =>
+    element(ids.cluster, uintElement(ids.timecode, timecode), ...clusterBlocks),
+  );
+}
+
+function simpleBlock({ track, timestampMs, key, data }, clusterTimecode) {
+  const blockHeader = new Uint8Array(4);
+  const view = new DataView(blockHeader.buffer);
+  blockHeader[0] = 0x80 | track;
+  view.setInt16(1, timestampMs - clusterTimecode);
+  blockHeader[3] = key ? 0x80 : 0;
+  return element(ids.simpleBlock, blockHeader, data);
+}
+
+// Elements are kept as lists of byte arrays and only joined into the final
+// Blob, so encoded frames are never copied again
+function element(id, ...children) {
+  const parts = [];
+  let size = 0;
+  for (const child of children) {
+    if (child instanceof Uint8Array) {
+      parts.push(child);
+      size += child.length;
+    } else {
+      for (const part of child.parts) {
+        parts.push(part);
+      }
+      size += child.size;
+    }
+  }
+
+  const idBytes = encodeId(id);
+  const sizeBytes = encodeSize(size);
+  return {
+    parts: [idBytes, sizeBytes, ...parts],
+    size: idBytes.length + sizeBytes.length + size,
+  };
+}
+
+function uintElement(id, value) {
+  return element(id, encodeUint(value));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function stringElement(id, value) {
+  return element(id, textEncoder.encode(value));
+}
+
+function encodeId(id) {
+  const length = id > 0xffffff ? 4 : id > 0xffff ? 3 : id > 0xff ? 2 : 1;
+  return encodeBigEndian(id, length);
+}
+
+// Variable-length size: the position of the leading 1 bit gives the length
+function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) {
+    length++;
+  }
+  const bytes = encodeBigEndian(size, length);
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function encodeUint(value) {
+  let length = 1;
+  while (value >= 2 ** (8 * length)) {
+    length++;
+  }
+  return encodeBigEndian(value, length);
+}
+
+function encodeBigEndian(value, length) {
+  const bytes = new Uint8Array(length);
+  let remaining = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return bytes;
+}
+
+function toBytes(source) {
+  if (source instanceof ArrayBuffer) {
+    return new Uint8Array(source.slice(0));
+  }
+  return new Uint8Array(
+    source.buffer.slice(
+      source.byteOffset,
+      source.byteOffset + source.byteLength,
+    ),
+  );
+}